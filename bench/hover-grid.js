@@ -0,0 +1,54 @@
+/**
+ * Screen-space hover cost at 2000 balloons × 40 orbs (+ 8 fullBody boxes):
+ * a single cell (hoverGridCells 1: every balloon tests every shape) vs. the
+ * default 16 × 16 NDC grid. Both runs use the current applyInfluence, with
+ * orbs projected once per call, so this measures binning alone. Also checks
+ * both hover the same balloons.
+ *
+ *   npm run bench
+ */
+import { createSimulationState, applyInfluence } from "../simulation-core.js";
+import { testConfig, testView } from "../test/helpers.js";
+
+const BALLOONS = 2000;
+const ORBS = 40;
+const WARMUP = 200;
+const CALLS = 2000;
+
+function bench(gridCells, withBoxes) {
+  const config = testConfig((c) => {
+    c.balloons.count = BALLOONS;
+    c.randomLight.rate = 0;
+    c.interaction.hoverGridCells = gridCells;
+  });
+  const state = createSimulationState(config, { seed: 42, view: testView(config) });
+
+  // Fixed pseudo-random orbs across the lane (same for every run).
+  let r = 1;
+  const rnd = () => (r = (r * 16807) % 2147483647) / 2147483647;
+  const points = Array.from({ length: ORBS }, () => ({ x: (rnd() - 0.5) * 40, y: rnd() * 20, z: (rnd() - 0.5) * 20 }));
+  const boxes = withBoxes
+    ? Array.from({ length: 8 }, (_, k) => ({ minX: -1 + k * 0.25, maxX: -0.9 + k * 0.25, minY: -0.5, maxY: 0.3 }))
+    : [];
+  const influencers = { points, pointCount: ORBS, boxes, masks: [] };
+
+  for (let k = 0; k < WARMUP; k++) applyInfluence(state, 1 / 60, influencers);
+  const t0 = performance.now();
+  for (let k = 0; k < CALLS; k++) applyInfluence(state, 1 / 60, influencers);
+  const ms = (performance.now() - t0) / CALLS;
+
+  state.buoy.fill(0);
+  applyInfluence(state, 1, influencers);
+  const hovered = Array.from(state.buoy.subarray(0, state.count), (v) => (v > 0 ? 1 : 0)).join("");
+  return { ms, hovered };
+}
+
+for (const withBoxes of [false, true]) {
+  const single = bench(1, withBoxes);
+  const grid = bench(16, withBoxes);
+  const label = `${BALLOONS} balloons × ${ORBS} orbs${withBoxes ? " + 8 boxes" : ""}`;
+  console.log(
+    `${label}: single cell ${single.ms.toFixed(3)} ms, 16 × 16 grid ${grid.ms.toFixed(3)} ms ` +
+      `(${(single.ms / grid.ms).toFixed(1)}×), same hovers: ${single.hovered === grid.hovered}`
+  );
+}
@@ -0,0 +1,792 @@
+/**
+ * config.js — shared tuning for the balloon simulation.
+ *
+ * Imported by both the browser entry (simulation.js) and the DOM-free core
+ * (simulation-core.js). Keep it free of DOM/Three.js references.
+ */
+
+/* -------------------------------------------------------------------------- */
+/* CONFIG                                                                     */
+/* -------------------------------------------------------------------------- */
+/**
+ * CONFIG is intentionally centralized so the simulation can be tuned without
+ * hunting constants. Anything expected to be tweaked at runtime is also exposed
+ * via window.SIM (bottom of simulation.js).
+ *
+ * It is plain data on purpose: simulation-core.js reads the same object, so it
+ * can be imported in Node for headless runs.
+ *
+ * CONFIG.balloons.count is the initial count. To change it live, use
+ * SIM.setBalloonCount(n): it grows the typed arrays / InstancedMesh capacity
+ * as needed and keeps existing balloons' state.
+ */
+export const CONFIG = {
+  /**
+   * Seed for the simulation PRNG. Every random choice (spawns, tints, patterns,
+   * idle twinkles, gusts) draws from it, so the same seed plus the same input
+   * stream reproduces the same balloon states. null picks a seed at boot;
+   * SIM.getSeed() reads it back so a nice run can be reproduced via
+   * SIM.setSeed().
+   */
+  seed: null,
+
+  balloons: {
+    count: 400,
+
+    // Hard cap for SIM.setBalloonCount(); protects low-end devices from typos.
+    maxCount: 5000,
+
+    scale: 1.25,
+    zBounds: { min: -18, max: 10 },
+
+    /**
+     * Offscreen margin multiplier used for spawn/reset bounds in X.
+     * Increasing this reduces “pop-in” at edges but keeps more balloons alive
+     * outside the visible frustum.
+     */
+    xMarginMultiplier: 1.28,
+
+    /**
+     * Spawn/off offsets are defined relative to the computed camera frustum.
+     * ySpawnOffset: how far above top-of-view to spawn.
+     * yOffOffset:   how far below bottom-of-view counts as “dead”.
+     */
+    ySpawnOffset: 8,
+    yOffOffset: 8,
+  },
+
+  boundaries: {
+    /**
+     * What happens at each face of the simulation volume, per axis:
+     *   "respawn" | "wrap" | "bounce" | "soft" | "despawn"
+     *
+     * restitution:  bounce (and soft backstop) velocity kept, 0..1
+     * softWidth:    soft wall ramp depth from the face (world units)
+     * softStrength: inward acceleration at full ramp depth
+     *
+     * Switch at runtime with SIM.setBoundaryMode(axis, mode, options).
+     */
+    x: { mode: "respawn", restitution: 0.6, softWidth: 3.0, softStrength: 3.0 },
+    y: { mode: "respawn", restitution: 0.6, softWidth: 3.0, softStrength: 3.0 },
+    z: { mode: "bounce", restitution: 0.6, softWidth: 2.0, softStrength: 2.0 },
+
+    /**
+     * Despawned balloons come back at `rate` per second; up to `burst` can
+     * return at once after a quiet spell. rate 0 = gone for good.
+     */
+    refill: { rate: 6, burst: 12 },
+  },
+
+  envelope: {
+    radialSegments: 18,
+
+    /**
+     * Lathe profile points: [radius, y] pairs in normalized-ish coordinates.
+     * Think of this as a 2D silhouette spun around the Y axis.
+     */
+    profile: [
+      [0.07, -0.62],
+      [0.12, -0.52],
+      [0.33, -0.28],
+      [0.48, 0.0],
+      [0.44, 0.26],
+      [0.30, 0.50],
+      [0.03, 0.62],
+    ],
+  },
+
+  gondola: {
+    /**
+     * Gondola dimensions are derived from the envelope’s bounding box, then
+     * scaled by these ratios. This keeps the basket proportional if the envelope
+     * profile changes.
+     */
+    widthRatio: 0.20,
+    depthRatio: 0.20,
+    heightRatio: 0.12,
+
+    // Simple “wicker” look; tune roughness/metalness for different materials.
+    color: 0x8b6b46,
+    metalness: 0.0,
+    roughness: 1.0,
+
+    /**
+     * The basket hangs from the envelope mouth as a damped pendulum driven by
+     * the balloon's horizontal acceleration. gravity/length set the natural
+     * period (2π·√(length / gravity) ≈ 2.4 s); maxAngle in radians.
+     */
+    swing: { length: 0.9, gravity: 6.0, damping: 1.1, maxAngle: 0.6 },
+  },
+
+  sway: {
+    /**
+     * Envelope lean (radians) toward horizontal acceleration (per world
+     * unit/s²) and downwind (per world unit/s of air moving past), eased by a
+     * damped spring and capped at maxLean.
+     */
+    enabled: true,
+    accelLean: 0.12,
+    windLean: 0.06,
+    maxLean: 0.3,
+    stiffness: 7.0,
+    damping: 4.0,
+  },
+
+  camera3d: {
+    fov: 55,
+    near: 0.1,
+    far: 260,
+    position: { x: 0, y: 6, z: 40 },
+    lookAt: { x: 0, y: 6, z: 0 },
+  },
+
+  cameraOverlay: {
+    /**
+     * This is a DOM overlay placed ABOVE the camera video but BELOW the WebGL
+     * canvas. It allows “grading” the background camera feed with either a
+     * gradient or an image and a blend mode.
+     *
+     * If you later want to grade the 3D scene too, do it via postprocessing
+     * (EffectComposer) rather than this overlay.
+     */
+    enabled: true,
+    mode: "gradient", // "gradient" | "image"
+    imageUrl: "", // used when mode === "image"
+    opacity: 0.55,
+    blendMode: "overlay", // "overlay" | "soft-light" | "screen" | "normal" etc.
+    filter: "saturate(1.15) contrast(1.05)",
+    gradientCss:
+      "linear-gradient(0deg, rgba(255,120,180,0.85) 0%, rgba(155,90,210,0.75) 18%, rgba(40,60,140,0.70) 35%, rgba(70,110,230,0.65) 50%, rgba(70,110,230,0.65) 100%)",
+  },
+
+  videoSource: {
+    /**
+     * What feeds the background video and tracking. The camera button (or
+     * SIM.useCamera()) starts the webcam; SIM.useVideoUrl(url) / a file dropped
+     * onto the page play a recording instead, e.g. to develop without a webcam.
+     *
+     * url: if set, this video starts on load instead of waiting for the button.
+     * loop: recordings restart at the end (camera streams ignore it).
+     */
+    url: "",
+    loop: true,
+
+    /**
+     * Camera request. deviceId (from SIM.listCameras() or the picker shown
+     * when several cameras exist) wins over facingMode ("user" | "environment",
+     * see SIM.switchCamera()). width / height / frameRate are ideal values;
+     * the browser picks the closest mode the camera supports.
+     *
+     * If the camera disappears mid-session (unplugged), recovery retries
+     * recoveryAttempts times, recoveryDelay seconds apart (growing linearly).
+     */
+    camera: {
+      deviceId: "",
+      facingMode: "user",
+      width: 1280,
+      height: 720,
+      frameRate: 30,
+      recoveryAttempts: 5,
+      recoveryDelay: 1.0,
+    },
+  },
+
+  lighting: {
+    /**
+     * Lighting is kept simple (ambient + directional) and most of the “dawn”
+     * look comes from:
+     *  - the environment PMREM texture (procedural sky gradient)
+     *  - material clearcoat/roughness
+     *  - the balloon pattern shader tweaks
+     */
+    ambient: { color: 0xffffff, intensity: 0.55 },
+    directional: {
+      color: 0xfff0e0,
+      intensity: 1.15,
+      position: { x: 10, y: 18, z: 10 },
+    },
+  },
+
+  physics: {
+    /**
+     * This is intentionally “gamey” physics: stable, readable motion > realism.
+     * All values assume dt is in seconds and are tuned for ~60fps.
+     *
+     * model selects the lift model:
+     *  - "gamey":   buoyancy is a 0..1 “light” level (rise/decay rates below)
+     *  - "thermal": envelope temperature, burner fuel and mass (CONFIG.thermal)
+     */
+    model: "gamey", // "gamey" | "thermal"
+
+    gravity: -0.16,
+    liftStrength: 1.35,
+
+    /**
+     * buoyancyRiseRate drives how quickly a balloon “lights” when hovered.
+     * decayRate/variance make balloons fade at slightly different speeds.
+     */
+    buoyancyRiseRate: 520,
+    buoyancyDecayRate: 0.65,
+    buoyancyDecayVariance: { min: 0.65, max: 1.55 },
+
+    // Drag keeps the swarm from accelerating indefinitely.
+    horizontalDrag: 0.957,
+    verticalDrag: 0.994,
+
+    // Prevents runaway vertical spikes when buoyancy rises quickly.
+    maxVerticalSpeed: 5.6,
+
+    /**
+     * Simulation runs on a fixed-timestep accumulator, decoupled from the
+     * display rate. maxSubSteps bounds catch-up work after a stall (excess
+     * time is dropped rather than simulated).
+     */
+    fixedStep: 1 / 60,
+    maxSubSteps: 5,
+  },
+
+  thermal: {
+    /**
+     * Optional physical lift model (physics.model === "thermal"). Each balloon
+     * tracks envelope temperature, burner fuel and mass; lift comes from the
+     * density difference between ambient air and the hot air inside:
+     *
+     *   a = g * (V * (rhoAir - rhoEnvelope) - mass) / (mass + V * rhoEnvelope)
+     *
+     * Ambient temperature and pressure fall with altitude (ISA troposphere).
+     * World Y maps to altitude via baseAltitude + y * metersPerUnit.
+     *
+     * Hovering fires the burner (heats the envelope, burns fuel). Without fuel
+     * a balloon cools and sinks until it respawns (refuelled).
+     */
+    seaLevelTemp: 288.15, // K
+    seaLevelPressure: 101325, // Pa
+    lapseRate: 0.0065, // K per meter
+    baseAltitude: 600, // meters at world y = 0
+    metersPerUnit: 40,
+
+    envelopeVolume: 2800, // m³
+    mass: { base: 600, variance: { min: 0.9, max: 1.12 } }, // kg, excluding fuel
+
+    maxTemp: 393, // K (~120°C), burner cut-off
+    heatRate: 18, // K/s while the burner fires
+    coolingRate: 0.04, // 1/s Newton cooling toward ambient
+
+    fuelCapacity: 60, // kg propane
+    fuelBurnRate: 1.2, // kg/s while firing
+    initialFuel: { min: 0.55, max: 1.0 }, // fraction of capacity at spawn
+
+    // Spawned balloons start this far below neutral temperature (slow sink).
+    spawnTempDeficit: { min: 1.5, max: 6 }, // K
+
+    // Hover keeps the burner lit this long after the last hovered step.
+    hoverBurnHold: 0.2,
+    // Idle twinkles (CONFIG.randomLight) fire the burner for this long.
+    idleBurnDuration: 2.5,
+
+    /**
+     * Converts physical m/s² into world units/s². Values < 1 slow motion to a
+     * readable pace; this is a visual speed factor, not realism.
+     */
+    accelScale: 0.35,
+  },
+
+  formation: {
+    /**
+     * Formation mode (SIM.formText / formImage / formPath, SIM.release).
+     * Shapes are fitted into width × height fractions of the visible half
+     * extents around centerY (fraction of view height) on the z plane.
+     *
+     * stiffness/damping: spring steering toward targets; maxSpeed caps it.
+     * sampleSize: longest side (px) of the offscreen canvas shapes are
+     * rasterized on before sampling. maxPoints caps targets (null = count).
+     */
+    width: 0.8,
+    height: 0.75,
+    centerY: 0.55,
+    z: 0,
+    stiffness: 2.2,
+    damping: 2.4,
+    maxSpeed: 9,
+    useImageColors: true,
+    releaseBuoyancy: 0.8,
+    sampleSize: 320,
+    maxPoints: null,
+    font: "900 200px system-ui, sans-serif",
+  },
+
+  ground: {
+    /**
+     * Optional ground plane. When enabled, sinking balloons touch down instead
+     * of dropping out of view and respawning. Landed balloons run a timeline:
+     *   settle upright → tip over → deflate → rest → reinflate → take off
+     * A landed balloon that gets enough lift while upright takes off at once;
+     * a tipped/deflated one skips straight to reinflating when it gets hot.
+     *
+     * The plane sits offsetFromBottom world units above the bottom of the view
+     * (measured at viewCenter depth), so it follows resizes.
+     */
+    enabled: false,
+    offsetFromBottom: 2.5,
+
+    // Balloon origin height above ground when resting (× balloons.scale);
+    // matches the basket bottom for the default envelope profile.
+    clearance: 0.8,
+
+    timeline: { settle: 1.5, tip: 1.2, deflate: 2.0, rest: 4.0, reinflate: 2.5 }, // seconds
+    tipAngle: 80, // degrees
+
+    // Heat/buoyancy level (0..1) that counts as “hot” for early reinflation.
+    reinflateBuoyancy: 0.5,
+
+    // Visual plane (purely cosmetic).
+    visible: true,
+    color: 0x3d4a35,
+    opacity: 0.35,
+  },
+
+  tethers: {
+    /**
+     * Tethered balloons are the first `count` instances. Each is tied by a rope
+     * (max length) to an anchor on the ground line, so it bobs in place as a
+     * foreground display instead of drifting away. They never respawn.
+     *
+     * Tethers work with or without ground.enabled; anchors sit at ground height.
+     */
+    count: 0,
+    maxCount: 32,
+    length: { min: 3.5, max: 6.0 },
+
+    // Anchors are spread across this fraction of the visible width, in a depth
+    // band near the camera.
+    spreadX: 0.8,
+    z: { min: 2, max: 8 },
+
+    // Keeps gamey-model tethers taut (world units/s² added to lift).
+    extraLift: 0.35,
+
+    // Fraction of outward velocity kept (as recoil) when the rope goes taut.
+    bounce: 0.15,
+
+    lineColor: 0xf2e6d0,
+    lineOpacity: 0.8,
+  },
+
+  collisions: {
+    /**
+     * Balloon-to-balloon separation. Each envelope is treated as a sphere of
+     * radius * balloons.scale; overlapping pairs are pushed apart and trade a
+     * restitution-scaled impulse along the contact normal.
+     *
+     * Pairs are found through a uniform grid (cell = one contact diameter), so
+     * cost stays roughly linear in balloon count instead of O(n²).
+     */
+    enabled: true,
+    radius: 0.5,
+    restitution: 0.3,
+
+    // Fraction of the overlap removed per frame; < 1 softens jitter in clusters.
+    positionCorrection: 0.8,
+  },
+
+  obstacles: {
+    /**
+     * Static colliders balloons flow around. list entries are plain data:
+     *   { type: "box", center: { x, y, z }, size: { x, y, z } }
+     *   { type: "sphere", center: { x, y, z }, radius }
+     *   { type: "screenRect", minX, maxX, minY, maxY }   (NDC, -1..1)
+     * Add at runtime with SIM.addObstacle(def).
+     *
+     * padding grows the balloon's contact sphere; inside avoidMargin (world
+     * units) balloons are pushed outward, up to avoidStrength at contact.
+     */
+    enabled: true,
+    list: [],
+    restitution: 0.2,
+    padding: 0.1,
+    avoidMargin: 1.5,
+    avoidStrength: 4.0,
+
+    debug: { visible: false, color: 0xff7a59, opacity: 0.9 },
+  },
+
+  flocking: {
+    /**
+     * Boids mode: separation / alignment / cohesion steering so the swarm
+     * drifts in loose groups. Neighbors are found through the spatial grid
+     * (cell = neighborRadius); maxNeighbors caps the work per balloon.
+     *
+     * maxForce caps the steering acceleration; verticalScale damps its Y part
+     * so buoyancy still decides who rises and who sinks.
+     */
+    enabled: false,
+    neighborRadius: 5.0,
+    separationRadius: 1.8,
+    weights: { separation: 2.2, alignment: 1.0, cohesion: 1.0 },
+    maxNeighbors: 16,
+    maxForce: 1.4,
+    verticalScale: 0.35,
+
+    // Orbs: "attract" pulls balloons in, "predator" scatters them, "none".
+    orbs: { mode: "attract", radius: 7.0, strength: 2.5 },
+  },
+
+  wind: {
+    /**
+     * Shared wind field sampled at every balloon position in updatePhysics.
+     * Drag is applied relative to the local air velocity, so balloons settle
+     * into riding the wind together instead of each following its own wobble.
+     *
+     * layers: altitude bands in world Y. direction is degrees in the XZ plane
+     * (0 = +X, 90 = +Z), speed is world units/sec. Between layers the wind is
+     * blended smoothly; beyond the outermost layers it holds constant.
+     *
+     * direction/strength are global controls applied on top of every layer
+     * (rotation in degrees, multiplier) and are what window.SIM tweaks.
+     */
+    enabled: true,
+    direction: 0,
+    strength: 1.0,
+    layers: [
+      { altitude: -10, direction: 15, speed: 0.35 },
+      { altitude: 4, direction: -20, speed: 0.7 },
+      { altitude: 18, direction: 35, speed: 1.1 },
+    ],
+
+    /**
+     * Curl-noise turbulence is divergence-free, so it swirls the swarm without
+     * bunching balloons into sinks. scale is spatial frequency (1/world units),
+     * evolution is how fast the pattern drifts over time.
+     */
+    turbulence: { strength: 0.45, scale: 0.08, evolution: 0.12 },
+
+    /**
+     * Gusts are occasional swarm-wide pushes. rate is probability per second;
+     * each gust ramps up and back down over its duration.
+     */
+    gusts: {
+      rate: 0.04,
+      strength: 1.2,
+      duration: { min: 2.0, max: 5.0 },
+      directionJitter: 35,
+    },
+
+    // Debug overlay: grid of arrows showing the sampled field (world space).
+    debug: {
+      visible: false,
+      columns: 14,
+      rows: 9,
+      slices: 3,
+      arrowScale: 1.6,
+      color: 0x7fd4ff,
+    },
+  },
+
+  spawn: {
+    /**
+     * Where respawned balloons appear:
+     *   "top"    above the view, drifting down
+     *   "bottom" launch field below the view (on the ground when enabled), lit
+     *   "sides"  offscreen left/right margins, drifting inward
+     *   "box"    custom world-space box (below)
+     */
+    region: "top",
+    box: {
+      x: { min: -6, max: 6 },
+      y: { min: 0, max: 8 },
+      z: { min: -10, max: 4 },
+    },
+
+    // "bottom": launch buoyancy (gamey), burner seconds (thermal), climb speed.
+    launch: {
+      buoyancy: 1.0,
+      burn: 3.0,
+      velocityY: { min: 2.5, max: 4.5 },
+    },
+
+    // "sides": inward drift speed.
+    sideSpeed: { min: 0.4, max: 1.0 },
+
+    /**
+     * Initial velocity is biased to slow downward drift so balloons “enter”
+     * rather than immediately rocket upwards.
+     */
+    initialVelocity: {
+      x: { spread: 0.75 },
+      y: { min: -0.48, max: -0.06 },
+      z: { spread: 0.75 },
+    },
+
+    // Initial buoyancy adds subtle variance so not all balloons look “off”.
+    initialBuoyancy: { maxFactor: 0.10 },
+  },
+
+  randomLight: {
+    /**
+     * Idle twinkles: when balloons are not hovered and below a threshold height,
+     * they can randomly “ignite” to keep the scene lively.
+     *
+     * rate is probability per second (scaled by dt).
+     * thresholdY is a fraction of the visible height.
+     */
+    rate: 0.0015,
+    thresholdY: 0.90,
+  },
+
+  appearance: {
+    /**
+     * Balloon shading is customized via onBeforeCompile. These values map to
+     * shader uniforms (uBrightColor/uFlameColor/etc.) so you can tune look
+     * without editing shader code.
+     */
+    brightColor: 0xffddb0,
+    flameColor: 0xff7a18,
+    flameMix: 0.70,
+
+    // Emissive is intentionally disabled in shader (see onBeforeCompile).
+    baseEmissive: 0.02,
+    boostEmissive: 3.0,
+
+    // “Lit” behavior (hovered) biases towards brightColor + warmth.
+    litBrightnessBoost: 0.22,
+    litColorMix: 0.14,
+
+    // Nudges patterns towards paper-white for a more balloon-like finish.
+    paperWhiteMix: 0.0001,
+
+    opacity: 1.0,
+
+    // Physical material surface characteristics (affects env reflections).
+    roughness: 0.48,
+    clearcoat: 0.45,
+    clearcoatRoughness: 0.48,
+  },
+
+  patterns: {
+    /**
+     * density: how many pattern repeats/panels.
+     * paletteStrength: reserved for future use if you want to modulate contrast.
+     */
+    density: 1.05,
+    paletteStrength: 1.05,
+  },
+
+  interaction: {
+    /**
+     * Interaction modes:
+     *  - fingers: uses HandLandmarker fingertip points as hover influencers
+     *  - wrists:  uses PoseLandmarker wrists as hover influencers
+     *  - fullBody: uses pose bounding boxes in screen space; no orbs drawn
+     *  - silhouette: uses pose segmentation masks; only balloons over a
+     *    person's body are hovered; no orbs drawn
+     */
+    mouseEnabled: true, // all pointers: mouse, touch, pen
+    poseEnabled: true,
+    // Flip landmarks horizontally, on top of any CSS mirror on #cameraBg
+    // (which the video → screen mapping already follows).
+    mirror: false,
+
+    /**
+     * Manual correction applied after the video → screen mapping (object-fit
+     * cover crop + mirroring), in NDC: ndc = mapped * scale + offset.
+     * depthNear / depthFar: estimated camera distance (≈ meters) mapped to the
+     * near / far end of the balloon lane when depth is enabled (see
+     * SIM.calibrateDepth).
+     * SIM.setCalibration() tunes it live, SIM.saveCalibration() keeps it in
+     * localStorage under storageKey; saved values override these on load.
+     */
+    calibration: {
+      offsetX: 0,
+      offsetY: 0,
+      scaleX: 1,
+      scaleY: 1,
+      depthNear: 0.5,
+      depthFar: 2.5,
+      storageKey: "balloons.calibration",
+    },
+
+    trackMode: "fingers", // "fingers" | "wrists" | "fullBody" | "silhouette"
+    orbsVisible: true,
+
+    // Upper bounds for Mediapipe; also used to size orb buffers.
+    maxPeople: 4,
+    maxHands: 4,
+
+    /**
+     * Pointer orbs: one slot per active pointerId (mouse, each touch, pen),
+     * up to maxPointers at once. pointerTTL keeps a pointer's orb alive
+     * between raycast hits.
+     */
+    maxPointers: 10,
+    pointerTTL: 0.2,
+
+    // Orb slots shared by providers added with SIM.registerInfluencer.
+    maxProviderOrbs: 32,
+
+    /**
+     * Hover testing approaches:
+     *  - screen-space (default): compare NDC distance between balloon and orbs
+     *  - world-space (legacy): compare 3D distance; less reliable at distance
+     */
+    hoverRadiusWorld: 5.8,
+
+    /**
+     * Depth-aware tracking (wrists, fingertips). Off: orbs sit on the plane
+     * through the view center. On: each person/hand's distance is estimated
+     * from its image size vs. its worldLandmarks size, the landmark's own
+     * reach (z) is added (× reachScale), and the result is mapped from
+     * calibration.depthNear..depthFar onto the lane's near..far z.
+     * Screen-space hits then also require |balloon z - orb z| < tolerance
+     * (world units); world-space hits use hoverRadiusWorld as usual.
+     */
+    depth: {
+      enabled: false,
+      reachScale: 1.0,
+      tolerance: 5.0,
+    },
+    useScreenSpaceHit: true,
+    screenRadiusNDC: 0.065,
+    screenRadiusMin: 0.03,
+    screenRadiusMax: 0.10,
+
+    // Screen-space hover: orbs and boxes are binned into an NDC grid of
+    // hoverGridCells × hoverGridCells so each balloon only tests nearby ones.
+    hoverGridCells: 16,
+
+    /**
+     * Silhouette mode: all people's segmentation masks are merged into one
+     * coverage grid over the screen, `columns` cells wide (rows follow the
+     * viewport aspect). A balloon is hovered where coverage >= threshold.
+     */
+    silhouette: {
+      threshold: 0.5,
+      columns: 96,
+    },
+
+    /**
+     * Identity tracking: detections are matched to the previous frame's people
+     * / hands by bounding-box IoU (>= minIoU) or centroid distance (<=
+     * maxCentroidDist, normalized image units), so each keeps a persistent ID
+     * and orb slots. A track unmatched for lostTimeout seconds is dropped
+     * ("personleave" / "handleave" events, see SIM.on).
+     */
+    identity: {
+      minIoU: 0.1,
+      maxCentroidDist: 0.15,
+      lostTimeout: 0.5,
+    },
+
+    // Orb visuals (purely cosmetic).
+    orbColor: 0xff7a18,
+    orbSize: 1.65,
+    orbSizeLitBoost: 0.65,
+    orbOpacity: 0.95,
+
+    /**
+     * orbSmoothing is a per-frame lerp strength (converted to an effective alpha
+     * in the main loop). Higher = snappier, lower = floatier.
+     */
+    orbSmoothing: 0.14,
+
+    /**
+     * Per-slot filter between tracking measurements and orb positions:
+     *  - "lerp":    fixed-alpha lerp by orbSmoothing (laggy or jittery, cheap)
+     *  - "oneEuro": cutoff (Hz) rises with speed: minCutoff + beta * speed
+     *    (world units/s); dCutoff smooths the speed estimate itself
+     *  - "kalman":  constant-velocity Kalman filter. processNoise is the
+     *    acceleration variance, measurementNoise the landmark jitter (world
+     *    units²). It keeps predicting through dropouts for predictTime seconds,
+     *    with the velocity decaying at coastDamping (1/s).
+     */
+    orbFilter: {
+      type: "lerp", // "lerp" | "oneEuro" | "kalman"
+      oneEuro: { minCutoff: 1.5, beta: 0.4, dCutoff: 1.0 },
+      kalman: { processNoise: 200, measurementNoise: 0.02, predictTime: 0.25, coastDamping: 4 },
+    },
+
+    /**
+     * Orbs are “ephemeral”: points update when tracking provides new landmarks.
+     * orbMaxTTL defines how long a point remains active if tracking stalls.
+     */
+    orbMaxTTL: 0.12,
+
+    /**
+     * Momentum transfer from moving orbs (mouse, wrists, fingertips alike).
+     * Orb velocity comes from the frame-to-frame delta of the smoothed orb
+     * position; balloons within reach are accelerated along the orb motion
+     * up to its speed (capped at maxSpeed, world units/s).
+     *
+     * radiusNDC / radiusWorld follow useScreenSpaceHit, like hover; points
+     * with their own radius (SIM.registerInfluencer) use it instead.
+     * falloffPower shapes (1 - d / radius) ^ p; minSpeed ignores tracking
+     * jitter; verticalScale damps the Y component so buoyancy stays in charge.
+     */
+    push: {
+      enabled: false,
+      strength: 9.0,
+      radiusNDC: 0.12,
+      radiusWorld: 4.0,
+      falloffPower: 1.5,
+      minSpeed: 0.6,
+      maxSpeed: 14,
+      verticalScale: 0.6,
+    },
+
+    /**
+     * Pinch-to-grab (trackMode "fingers"). A hand pinches when the thumb–index
+     * tip distance, relative to its palm length (wrist → middle knuckle), drops
+     * below pinchOn and lets go above pinchOff (hysteresis against flicker).
+     *
+     * On pinch the nearest balloon within grabRadiusNDC of the pinch point is
+     * held and follows it (followRate, 1/s). Releasing throws it with the
+     * smoothed hand velocity × throwScale, capped at maxThrowSpeed (world
+     * units/s). velocitySmoothing is the EMA weight of each new sample.
+     * orbGrabColor tints that hand's orbs while it holds a balloon.
+     */
+    grab: {
+      enabled: true,
+      pinchOn: 0.35,
+      pinchOff: 0.5,
+      grabRadiusNDC: 0.12,
+      followRate: 14,
+      throwScale: 1.0,
+      maxThrowSpeed: 18,
+      velocitySmoothing: 0.5,
+      releaseBuoyancy: 0.8,
+      orbGrabColor: 0x3fd0ff,
+    },
+  },
+
+  render: {
+    /**
+     * Caps renderer pixel ratio for performance on high-DPI devices.
+     */
+    pixelRatioCap: 2,
+  },
+
+  pose: {
+    /**
+     * Mediapipe Pose indices. These match the pose landmark model definition.
+     */
+    leftWristIndex: 15,
+    rightWristIndex: 16,
+
+    wasmRoot: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm",
+    modelAssetPath:
+      "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
+    delegate: "GPU",
+    minPoseDetectionConfidence: 0.5,
+    minPosePresenceConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+  },
+
+  hands: {
+    wasmRoot: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm",
+    modelAssetPath:
+      "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
+    delegate: "GPU",
+    minHandDetectionConfidence: 0.5,
+    minHandPresenceConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+  },
+};
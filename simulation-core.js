@@ -0,0 +1,2264 @@
+/**
+ * simulation-core.js — DOM-free balloon simulation
+ *
+ * Everything that changes balloon state lives here, with no window/document/
+ * Three.js references, so it runs headless in Node (tests, benchmarks) exactly
+ * as it runs in the browser:
+ *  1) createSimulationState(config) allocates per-instance typed arrays.
+ *  2) updateVisibleBounds(state, view) derives the simulation volume from a
+ *     plain camera description.
+ *  3) stepSimulation(state, dt, influencers) applies buoyancy from plain-data
+ *     influencers, advances wind and integrates physics.
+ *
+ * The browser entry (simulation.js) owns rendering, orbs and tracking and only
+ * reads the state arrays to write instance matrices/attributes.
+ *
+ * Conventions:
+ *  - Hot loops destructure arrays from state at the top of the call. Arrays may
+ *    be swapped by setBalloonCount(), so never cache them across calls.
+ *  - All randomness goes through state.rand (seeded), never Math.random().
+ *  - config is read live every step, so runtime tuning just mutates it.
+ */
+
+/* -------------------------------------------------------------------------- */
+/* MATH HELPERS                                                                */
+/* -------------------------------------------------------------------------- */
+function clamp(v, lo, hi) {
+  return v < lo ? lo : v > hi ? hi : v;
+}
+
+function degToRad(d) {
+  return (d * Math.PI) / 180;
+}
+
+function fade(t) {
+  return t * t * (3 - 2 * t);
+}
+
+function srgbToLinear(c) {
+  return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+/**
+ * Projects a world point through a column-major 4x4 view-projection matrix
+ * (same layout as THREE.Matrix4.elements). Writes NDC into out; equivalent to
+ * THREE.Vector3.project(camera).
+ */
+export function projectToNDC(m, x, y, z, out) {
+  const w = 1 / (m[3] * x + m[7] * y + m[11] * z + m[15]);
+  out.x = (m[0] * x + m[4] * y + m[8] * z + m[12]) * w;
+  out.y = (m[1] * x + m[5] * y + m[9] * z + m[13]) * w;
+  out.z = (m[2] * x + m[6] * y + m[10] * z + m[14]) * w;
+  return out;
+}
+
+/* -------------------------------------------------------------------------- */
+/* SEEDED RANDOM                                                               */
+/* -------------------------------------------------------------------------- */
+/**
+ * mulberry32, one stream per simulation state. Spawn ranges come from bounds,
+ * so reproducing a run also needs the same view (viewport size/camera).
+ */
+function createRandom(seed) {
+  let s = seed >>> 0;
+  return function rand() {
+    s = (s + 0x6d2b79f5) | 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randFloat(state, lo, hi) {
+  return lo + state.rand() * (hi - lo);
+}
+
+function randFloatSpread(state, range) {
+  return range * (0.5 - state.rand());
+}
+
+/* -------------------------------------------------------------------------- */
+/* STATE                                                                       */
+/* -------------------------------------------------------------------------- */
+/**
+ * Per-instance state is stored in typed arrays for speed and to minimize GC:
+ *  - pos/vel/rot/ang: simulation state
+ *  - buoy/decay: buoyancy “light” state
+ *  - envTemp/fuel/mass/burn: thermal model state (K, kg, kg, burn seconds
+ *    left); maintained on spawn in both models so switching is seamless
+ *  - landed/landT: ground phase (LANDED_* constants) + seconds since touchdown
+ *  - tilt/deflate/tipDir: landing pose for rendering (radians, 0..1, radians)
+ *  - tethered/anchorX/anchorZ/tetherLen: rope constraint (anchor on ground)
+ *  - despawned: 1 while hidden by a "despawn" boundary, awaiting refill
+ *  - flockX/Y/Z: boids steering acceleration from the last updateFlocking
+ *  - formed/formU/formV/formBase: formation slot (flag, normalized target,
+ *    tint to restore on release; 3 per instance)
+ *  - held + holdX/Y/Z: grabbed by a hand (see GRAB) and where it is pulled to
+ *  - leanX/Z + leanVX/VZ: envelope lean (radians, top toward +X/+Z) and its
+ *    rate; swingX/Z + swingVX/VZ: gondola pendulum (basket toward +X/+Z)
+ *
+ * Render-facing arrays (uploaded as instanced attributes by the browser):
+ *  - iBuoy: hover intensity (0..1)
+ *  - iBase: base color tint (linear RGB, 3 per instance)
+ *  - iPatternType: selects pattern generator branch
+ *  - iSeed: random seed for palette/pattern variance
+ *
+ * count is the active balloon count; capacity is how many instances the
+ * buffers can hold. Loops must only ever go to count.
+ *
+ * Per-instance arrays are listed in INSTANCE_ARRAYS (name → components) so
+ * growing the state can't forget one. Add new per-instance state there.
+ */
+const INSTANCE_ARRAYS = {
+  posX: 1,
+  posY: 1,
+  posZ: 1,
+  velX: 1,
+  velY: 1,
+  velZ: 1,
+  rotY: 1,
+  angY: 1,
+  buoy: 1,
+  decay: 1,
+  envTemp: 1,
+  fuel: 1,
+  mass: 1,
+  burn: 1,
+  landed: 1,
+  landT: 1,
+  tilt: 1,
+  deflate: 1,
+  tipDir: 1,
+  tethered: 1,
+  anchorX: 1,
+  anchorZ: 1,
+  tetherLen: 1,
+  despawned: 1,
+  flockX: 1,
+  flockY: 1,
+  flockZ: 1,
+  formed: 1,
+  formU: 1,
+  formV: 1,
+  formBase: 3,
+  held: 1,
+  holdX: 1,
+  holdY: 1,
+  holdZ: 1,
+  leanX: 1,
+  leanZ: 1,
+  leanVX: 1,
+  leanVZ: 1,
+  swingX: 1,
+  swingZ: 1,
+  swingVX: 1,
+  swingVZ: 1,
+  iBuoy: 1,
+  iBase: 3,
+  iPatternType: 1,
+  iSeed: 1,
+};
+
+/**
+ * bounds defines the “simulation volume”:
+ *  - yMin/yMax: current visible vertical range
+ *  - ySpawnTop: where new balloons spawn
+ *  - yOffBottom: below this we respawn a balloon
+ *  - xVisible/xOff: visible vs offscreen margins for respawn
+ *  - zMin/zMax: depth lane bounds
+ *
+ * Pass `view` (see updateVisibleBounds) so the initial fill spawns inside the
+ * real frustum; otherwise the placeholder bounds below are used.
+ */
+export function createSimulationState(config, { seed = config.seed, view = null } = {}) {
+  const count = Math.max(0, config.balloons.count | 0);
+
+  const state = {
+    config,
+    count,
+    capacity: count,
+
+    seed: 0,
+    rand: null,
+
+    bounds: {
+      yMin: -2,
+      yMax: 14,
+      ySpawnTop: 18,
+      yOffBottom: -6,
+      xVisible: 10,
+      xOff: 14,
+      zMin: config.balloons.zBounds.min,
+      zMax: config.balloons.zBounds.max,
+    },
+
+    // Column-major view-projection matrix for screen-space hit testing.
+    viewProjection: new Float64Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]),
+
+    wind: {
+      time: 0,
+      gustTimeLeft: 0,
+      gustDuration: 0,
+      gustStrength: 0,
+      gustDirX: 0,
+      gustDirZ: 0,
+    },
+
+    grid: {
+      cellSize: 1,
+      nx: 1,
+      ny: 1,
+      nz: 1,
+      minX: 0,
+      minY: 0,
+      minZ: 0,
+      cellStart: new Int32Array(2),
+      cellOf: new Int32Array(count),
+      items: new Int32Array(count),
+    },
+
+    // Despawn refill budget (balloons) and last counted despawned total.
+    refillBudget: 0,
+    despawnedCount: 0,
+
+    // Scratch for projected influencer points (grown on demand).
+    pointNdc: new Float32Array(0),
+    pointRadiusSq: new Float32Array(0),
+
+    // NDC bins of hover points and boxes (see buildHoverGrid).
+    hoverGrid: {
+      n: 1,
+      cellStart: new Int32Array(2),
+      items: new Int32Array(0),
+    },
+  };
+
+  for (const name in INSTANCE_ARRAYS) state[name] = new Float32Array(count * INSTANCE_ARRAYS[name]);
+
+  if (view) updateVisibleBounds(state, view);
+  resetSimulation(state, seed);
+  return state;
+}
+
+/**
+ * Replaces the PRNG stream. null/undefined picks a fresh random seed (the only
+ * place Math.random() is allowed). Returns the seed actually used.
+ */
+export function seedSimulation(state, seed) {
+  state.seed = seed == null ? (Math.random() * 0xffffffff) >>> 0 : Number(seed) >>> 0;
+  state.rand = createRandom(state.seed);
+  return state.seed;
+}
+
+/**
+ * Reseeds and rebuilds every balloon from scratch (positions, tints, patterns,
+ * wind gust state), so the run that follows is reproducible.
+ */
+export function resetSimulation(state, seed) {
+  seedSimulation(state, seed);
+
+  state.wind.time = 0;
+  state.wind.gustTimeLeft = 0;
+  state.refillBudget = 0;
+  state.despawnedCount = 0;
+
+  for (let i = 0; i < state.count; i++) resetInstance(state, i, true);
+  setupTethers(state, 0);
+  return state.seed;
+}
+
+function growArray(src, length) {
+  const dst = new src.constructor(length);
+  dst.set(src.length > length ? src.subarray(0, length) : src);
+  return dst;
+}
+
+/**
+ * Changes the active balloon count:
+ *  - shrinking just lowers count (state above it is kept but not simulated)
+ *  - growing past capacity reallocates buffers with 1.5x headroom
+ *  - newly activated balloons spawn above the view to avoid pop-in
+ *
+ * Existing balloons keep position, velocity, buoyancy and appearance.
+ * Returns true when capacity grew, i.e. GPU-side buffers must be rebuilt.
+ */
+export function setBalloonCount(state, count) {
+  const { config } = state;
+  const n = clamp(Math.floor(Number(count) || 0), 0, config.balloons.maxCount);
+  if (n === state.count) return false;
+
+  const prev = state.count;
+  let grew = false;
+
+  if (n > state.capacity) {
+    const cap = Math.min(config.balloons.maxCount, Math.max(n, Math.ceil(state.capacity * 1.5)));
+    for (const name in INSTANCE_ARRAYS) state[name] = growArray(state[name], cap * INSTANCE_ARRAYS[name]);
+    state.capacity = cap;
+    grew = true;
+  }
+
+  state.count = n;
+  for (let i = prev; i < n; i++) resetInstance(state, i, false);
+  setupTethers(state, prev);
+
+  config.balloons.count = n;
+  return grew;
+}
+
+/* -------------------------------------------------------------------------- */
+/* VIEW BOUNDS                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * view is a plain camera description:
+ *  - cameraPosition / viewCenter: {x,y,z}
+ *  - fov: vertical field of view in degrees
+ *  - aspect: width / height
+ *  - viewProjection (optional): 16 numbers, column-major
+ *
+ * If the camera moves (parallax, orbit, etc.), call this again.
+ */
+export function updateVisibleBounds(state, view) {
+  const { config, bounds } = state;
+  const aspect = view.aspect || 1;
+
+  // Distance from camera to the plane around viewCenter where we “stage” orbs.
+  const cp = view.cameraPosition;
+  const vc = view.viewCenter;
+  const dist = Math.hypot(cp.x - vc.x, cp.y - vc.y, cp.z - vc.z);
+
+  // Visible half-height at that distance.
+  const vHalf = Math.tan(degToRad(view.fov) / 2) * dist;
+
+  bounds.yMin = vc.y - vHalf;
+  bounds.yMax = vc.y + vHalf;
+  bounds.ySpawnTop = bounds.yMax + config.balloons.ySpawnOffset;
+  bounds.yOffBottom = bounds.yMin - config.balloons.yOffOffset;
+
+  const hHalf = vHalf * aspect;
+  bounds.xVisible = hHalf;
+  bounds.xOff = hHalf * config.balloons.xMarginMultiplier;
+
+  bounds.zMin = config.balloons.zBounds.min;
+  bounds.zMax = config.balloons.zBounds.max;
+
+  if (view.viewProjection) state.viewProjection.set(view.viewProjection);
+}
+
+/* -------------------------------------------------------------------------- */
+/* THERMAL MODEL                                                               */
+/* -------------------------------------------------------------------------- */
+/**
+ * ISA troposphere: temperature falls linearly with altitude, pressure follows
+ * the barometric formula. Air inside the envelope is at ambient pressure, so
+ * its density only differs by temperature (rho = p / (R * T)).
+ */
+const GRAVITY = 9.80665;
+const R_AIR = 287.05; // J/(kg·K)
+const tmpAir = { temp: 0, pressure: 0, density: 0 };
+
+function ambientAir(config, y, out) {
+  const th = config.thermal;
+  const h = th.baseAltitude + y * th.metersPerUnit;
+  const temp = Math.max(180, th.seaLevelTemp - th.lapseRate * h);
+  out.temp = temp;
+  out.pressure = th.seaLevelPressure * Math.pow(temp / th.seaLevelTemp, GRAVITY / (R_AIR * th.lapseRate));
+  out.density = out.pressure / (R_AIR * temp);
+  return out;
+}
+
+// Envelope temperature at which lift exactly carries totalMass at this air.
+function neutralTemp(th, air, totalMass) {
+  const rhoIn = air.density - totalMass / th.envelopeVolume;
+  if (rhoIn <= 0) return th.maxTemp;
+  return Math.min(th.maxTemp, air.pressure / (R_AIR * rhoIn));
+}
+
+/**
+ * Advances envelope temperature, burner and fuel for balloon i, writes the
+ * visual heat level into buoy/iBuoy and returns vertical acceleration in
+ * world units/s².
+ */
+function thermalStep(state, i, dt) {
+  const { config, envTemp, fuel, mass, burn, buoy, iBuoy } = state;
+  const th = config.thermal;
+  const air = ambientAir(config, state.posY[i], tmpAir);
+
+  let t = envTemp[i];
+  if (burn[i] > 0) {
+    burn[i] = Math.max(0, burn[i] - dt);
+    if (fuel[i] > 0 && t < th.maxTemp) {
+      t = Math.min(th.maxTemp, t + th.heatRate * dt);
+      fuel[i] = Math.max(0, fuel[i] - th.fuelBurnRate * dt);
+    }
+  }
+  t += (air.temp - t) * Math.min(1, th.coolingRate * dt);
+  envTemp[i] = t;
+
+  const rhoIn = air.pressure / (R_AIR * t);
+  const totalMass = mass[i] + fuel[i];
+  const V = th.envelopeVolume;
+  const accel = (GRAVITY * (V * (air.density - rhoIn) - totalMass)) / (totalMass + V * rhoIn);
+
+  // Shader heat: 0 at (or below) neutral buoyancy, 1 at burner cut-off.
+  const neutral = neutralTemp(th, air, totalMass);
+  const heat = clamp((t - neutral) / Math.max(1, th.maxTemp - neutral), 0, 1);
+  buoy[i] = heat;
+  iBuoy[i] = heat;
+
+  return accel * th.accelScale;
+}
+
+/* -------------------------------------------------------------------------- */
+/* SPAWNING                                                                    */
+/* -------------------------------------------------------------------------- */
+/**
+ * Palette is intentionally “realistic balloon paint” (high saturation + neutrals).
+ * randomVibrantTint writes linearized RGB into iBase.
+ */
+const REAL_BALLOON_PALETTE = [
+  0xd72638, 0xff6f00, 0xf9c80e, 0x2e7d32, 0x1565c0, 0x283593, 0x6a1b9a,
+  0x00838f, 0x6d4c41, 0x263238, 0xffffff, 0xe0e0e0, 0x111111,
+];
+
+function randomVibrantTint(state, i3) {
+  const hex = REAL_BALLOON_PALETTE[(state.rand() * REAL_BALLOON_PALETTE.length) | 0];
+  const out = state.iBase;
+  out[i3 + 0] = srgbToLinear(((hex >> 16) & 255) / 255);
+  out[i3 + 1] = srgbToLinear(((hex >> 8) & 255) / 255);
+  out[i3 + 2] = srgbToLinear((hex & 255) / 255);
+}
+
+/**
+ * Spawn regions (config.spawn.region):
+ *  - "top":    above the view, drifting down (default; also any unknown value)
+ *  - "bottom": a launch field below the view (or on the ground), rising
+ *  - "sides":  just outside the left/right edges, drifting inward
+ *  - "box":    a custom world-space box (config.spawn.box)
+ *
+ * The initial fill covers the whole visible volume for top/bottom/sides so the
+ * scene starts populated; "box" always fills its box.
+ * Writes position + velocity; returns true when the balloon should launch
+ * (bottom region: lit / burner on instead of starting dark).
+ */
+function spawnPosition(state, i, isInitial) {
+  const { config, bounds } = state;
+  const sp = config.spawn;
+  const region = sp.region;
+  const groundOn = !!config.ground.enabled;
+
+  const launch = !isInitial && region === "bottom";
+  const side = !isInitial && region === "sides";
+
+  if (region === "box") {
+    const box = sp.box;
+    state.posX[i] = randFloat(state, box.x.min, box.x.max);
+    state.posY[i] = randFloat(state, box.y.min, box.y.max);
+    state.posZ[i] = randFloat(state, box.z.min, box.z.max);
+  } else if (launch) {
+    const yLow = groundOn ? restHeight(state) : bounds.yOffBottom + 1;
+    const yHigh = groundOn ? yLow : Math.max(yLow, bounds.yMin - 1);
+
+    state.posX[i] = randFloatSpread(state, bounds.xVisible * 2.0);
+    state.posY[i] = randFloat(state, yLow, yHigh);
+    state.posZ[i] = randFloat(state, bounds.zMin, bounds.zMax);
+  } else if (side) {
+    // Anywhere in the offscreen margin on a random side.
+    const dir = state.rand() < 0.5 ? -1 : 1;
+    let yMin = bounds.yMin;
+    if (groundOn) yMin = Math.max(yMin, restHeight(state));
+
+    state.posX[i] = dir * randFloat(state, bounds.xVisible, bounds.xOff);
+    state.posY[i] = randFloat(state, yMin, Math.max(yMin, bounds.yMax));
+    state.posZ[i] = randFloat(state, bounds.zMin, bounds.zMax);
+  } else {
+    let spawnYMin = isInitial ? bounds.yOffBottom : bounds.yMax + 2;
+    if (groundOn) spawnYMin = Math.max(spawnYMin, restHeight(state));
+    const spawnYMax = bounds.ySpawnTop;
+
+    state.posX[i] = randFloatSpread(state, bounds.xVisible * 2.0);
+    state.posY[i] = randFloat(state, spawnYMin, spawnYMax);
+    state.posZ[i] = randFloat(state, bounds.zMin, bounds.zMax);
+  }
+
+  state.velX[i] = randFloatSpread(state, sp.initialVelocity.x.spread);
+  state.velY[i] = randFloat(state, sp.initialVelocity.y.min, sp.initialVelocity.y.max);
+  state.velZ[i] = randFloatSpread(state, sp.initialVelocity.z.spread);
+
+  if (side) state.velX[i] = -Math.sign(state.posX[i]) * randFloat(state, sp.sideSpeed.min, sp.sideSpeed.max);
+  if (launch) state.velY[i] = randFloat(state, sp.launch.velocityY.min, sp.launch.velocityY.max);
+  return launch;
+}
+
+/**
+ * resetInstance seeds a balloon in the spawn region and gives it:
+ *  - initial drift velocity
+ *  - a decay rate for buoyancy fade
+ *  - a base tint + a pattern type + a seed
+ *
+ * isInitial fills the whole view so the scene starts populated (not empty).
+ */
+export function resetInstance(state, i, isInitial) {
+  const { config } = state;
+  const launch = spawnPosition(state, i, isInitial);
+
+  state.buoy[i] = launch
+    ? config.spawn.launch.buoyancy
+    : state.rand() * state.rand() * config.spawn.initialBuoyancy.maxFactor;
+  state.iBuoy[i] = state.buoy[i];
+
+  state.rotY[i] = state.rand() * Math.PI * 2;
+  state.angY[i] = randFloatSpread(state, 0.45);
+
+  state.decay[i] =
+    config.physics.buoyancyDecayRate *
+    randFloat(state, config.physics.buoyancyDecayVariance.min, config.physics.buoyancyDecayVariance.max);
+
+  const th = config.thermal;
+  const airSpawn = ambientAir(config, state.posY[i], tmpAir);
+  state.mass[i] = th.mass.base * randFloat(state, th.mass.variance.min, th.mass.variance.max);
+  state.fuel[i] = th.fuelCapacity * randFloat(state, th.initialFuel.min, th.initialFuel.max);
+  state.envTemp[i] =
+    neutralTemp(th, airSpawn, state.mass[i] + state.fuel[i]) -
+    randFloat(state, th.spawnTempDeficit.min, th.spawnTempDeficit.max);
+  state.burn[i] = launch ? config.spawn.launch.burn : 0;
+
+  state.landed[i] = LANDED_NONE;
+  state.landT[i] = 0;
+  state.tilt[i] = 0;
+  state.deflate[i] = 0;
+  state.tipDir[i] = state.rand() * Math.PI * 2;
+  state.tethered[i] = 0;
+  state.despawned[i] = 0;
+  state.formed[i] = 0;
+  state.held[i] = 0;
+
+  state.leanX[i] = 0;
+  state.leanZ[i] = 0;
+  state.leanVX[i] = 0;
+  state.leanVZ[i] = 0;
+  state.swingX[i] = 0;
+  state.swingZ[i] = 0;
+  state.swingVX[i] = 0;
+  state.swingVZ[i] = 0;
+
+  randomVibrantTint(state, i * 3);
+
+  // 0/1/2 select different pattern generation branches in the shader.
+  const r = state.rand();
+  state.iPatternType[i] = r < 0.72 ? 0 : r < 0.92 ? 1 : 2;
+
+  state.iSeed[i] = state.rand() * 1000.0;
+}
+
+/* -------------------------------------------------------------------------- */
+/* BUOYANCY APPLICATION                                                        */
+/* -------------------------------------------------------------------------- */
+/**
+ * influencers is plain data gathered by the caller each step:
+ *  - points: [{ x, y, z, strength, vx, vy, vz, depthAware, radiusNDC,
+ *    radiusWorld }] world-space hover points (orbs); the velocity (world
+ *    units/s) is optional and only read by applyOrbPush. depthAware points
+ *    (tracked at a real depth) only hit balloons within
+ *    config.interaction.depth.tolerance in z when testing in screen space.
+ *    radiusNDC / radiusWorld override the configured hit radius when > 0
+ *  - pointCount: how many entries of points are live (defaults to length)
+ *  - boxes:  [{ minX, maxX, minY, maxY, strength }] NDC hover zones (fullBody)
+ *  - masks:  [{ data, width, height, threshold, strength }] coverage over the screen
+ *    (silhouette); data is row-major, row 0 at the top (NDC y = 1),
+ *    column 0 on the left (NDC x = -1), values 0..1
+ *
+ * A balloon is hovered if it projects inside any box, onto any mask's
+ * coverage >= threshold, or near any point. Each shape has an optional
+ * strength (default 1); the strongest one over a balloon scales its rise.
+ * Point tests are screen-space by default (config.interaction.useScreenSpaceHit),
+ * comparing NDC distance; world-space (legacy) compares 3D distance.
+ * Screen-space points and boxes are projected once per call and binned into
+ * an NDC grid (buildHoverGrid), so each balloon only tests its own cell.
+ *
+ * gamey model: hovered buoyancy rises at buoyancyRiseRate × strength,
+ * otherwise decays via decay[i].
+ * thermal model: hovered keeps the burner lit for hoverBurnHold × strength
+ * (heat is applied in physics).
+ */
+const EMPTY = [];
+const tmpNdc = { x: 0, y: 0, z: 0 };
+
+/**
+ * buildHoverGrid bins hover shapes into hoverGridCells² cells over NDC
+ * [-1, 1]², using the same counting-sort layout as the spatial grid:
+ *  - items: point index j (>= 0) or box index bi encoded as -(bi + 1)
+ *  - cellStart[c]..cellStart[c + 1]: range of cell c inside items
+ *
+ * A point goes into every cell its hit circle's bounding square overlaps,
+ * a box into every cell it overlaps. Coordinates are clamped into the border
+ * cells, like balloons in the spatial grid, so an off-screen balloon still
+ * meets an off-screen point it touches. Clipped (NaN) points are skipped.
+ */
+function ndcCell(v, n) {
+  const c = Math.floor((v + 1) * 0.5 * n);
+  return c < 0 ? 0 : c >= n ? n - 1 : c;
+}
+
+function buildHoverGrid(state, boxes, pointCount, n) {
+  const g = state.hoverGrid;
+  const { pointNdc, pointRadiusSq } = state;
+  const cells = n * n;
+  g.n = n;
+  if (g.cellStart.length < cells + 1) g.cellStart = new Int32Array(cells + 1);
+  const cellStart = g.cellStart;
+  cellStart.fill(0, 0, cells + 1);
+
+  // Pass 0 counts entries per cell, pass 1 writes them.
+  for (let pass = 0; pass < 2; pass++) {
+    const items = g.items;
+
+    for (let j = 0; j < pointCount; j++) {
+      const x = pointNdc[j * 2];
+      const y = pointNdc[j * 2 + 1];
+      if (x !== x || y !== y) continue;
+      const r = Math.sqrt(pointRadiusSq[j]);
+      const x1 = ndcCell(x + r, n), y1 = ndcCell(y + r, n);
+      for (let cy = ndcCell(y - r, n); cy <= y1; cy++) {
+        for (let cx = ndcCell(x - r, n); cx <= x1; cx++) {
+          const c = cx + cy * n;
+          if (pass === 0) cellStart[c]++;
+          else items[--cellStart[c]] = j;
+        }
+      }
+    }
+
+    for (let bi = 0; bi < boxes.length; bi++) {
+      const bb = boxes[bi];
+      const x1 = ndcCell(bb.maxX, n), y1 = ndcCell(bb.maxY, n);
+      for (let cy = ndcCell(bb.minY, n); cy <= y1; cy++) {
+        for (let cx = ndcCell(bb.minX, n); cx <= x1; cx++) {
+          const c = cx + cy * n;
+          if (pass === 0) cellStart[c]++;
+          else items[--cellStart[c]] = -(bi + 1);
+        }
+      }
+    }
+
+    if (pass === 0) {
+      // Inclusive prefix sum; pass 1 fills backwards so cellStart[c] ends up
+      // as the first slot of cell c.
+      let acc = 0;
+      for (let c = 0; c < cells; c++) {
+        acc += cellStart[c];
+        cellStart[c] = acc;
+      }
+      cellStart[cells] = acc;
+      if (g.items.length < acc) g.items = new Int32Array(Math.max(acc, g.items.length * 2));
+    }
+  }
+}
+
+// Nearest-cell mask lookup at an NDC position (0 outside the screen).
+function sampleMask(mask, ndcX, ndcY) {
+  const u = (ndcX + 1) * 0.5;
+  const v = (1 - ndcY) * 0.5;
+  if (u < 0 || u >= 1 || v < 0 || v >= 1) return 0;
+  return mask.data[((v * mask.height) | 0) * mask.width + ((u * mask.width) | 0)];
+}
+
+export function applyInfluence(state, dt, influencers) {
+  const { config, bounds, viewProjection: vp } = state;
+  const { posX, posY, posZ, buoy, decay, iBuoy, burn, despawned } = state;
+  const { buoyancyRiseRate } = config.physics;
+  const thermal = config.physics.model === "thermal";
+  const th = config.thermal;
+  const { randomLight, interaction } = config;
+
+  const points = influencers?.points || EMPTY;
+  const pointCount = influencers?.pointCount ?? points.length;
+  const boxes = influencers?.boxes || EMPTY;
+  const masks = influencers?.masks || EMPTY;
+
+  const useScreen = !!interaction.useScreenSpaceHit;
+
+  const rW = interaction.hoverRadiusWorld;
+  const rWSq = rW * rW;
+
+  const rN = clamp(
+    interaction.screenRadiusNDC ?? 0.065,
+    interaction.screenRadiusMin ?? 0.03,
+    interaction.screenRadiusMax ?? 0.10
+  );
+  const rNSq = rN * rN;
+  const depthTol = interaction.depth?.tolerance ?? Infinity;
+
+  // Project points once per call; NaN marks points behind/outside the clip range.
+  if (useScreen && pointCount) {
+    if (state.pointNdc.length < pointCount * 2) {
+      state.pointNdc = new Float32Array(pointCount * 2);
+      state.pointRadiusSq = new Float32Array(pointCount);
+    }
+    const pn = state.pointNdc;
+    for (let j = 0; j < pointCount; j++) {
+      const p = points[j];
+      projectToNDC(vp, p.x, p.y, p.z, tmpNdc);
+      const ok = tmpNdc.z >= -1 && tmpNdc.z <= 1;
+      pn[j * 2] = ok ? tmpNdc.x : NaN;
+      pn[j * 2 + 1] = ok ? tmpNdc.y : NaN;
+      state.pointRadiusSq[j] = p.radiusNDC > 0 ? p.radiusNDC * p.radiusNDC : rNSq;
+    }
+  }
+  const pointNdc = state.pointNdc;
+  const pointRadiusSq = state.pointRadiusSq;
+  const screenPoints = useScreen ? pointCount : 0;
+  const binned = boxes.length > 0 || screenPoints > 0;
+  const needNdc = binned || masks.length > 0;
+
+  const gridN = Math.max(1, interaction.hoverGridCells | 0 || 16);
+  if (binned) buildHoverGrid(state, boxes, screenPoints, gridN);
+  const { cellStart, items } = state.hoverGrid;
+
+  for (let i = 0; i < state.count; i++) {
+    if (despawned[i]) continue;
+
+    let b = buoy[i];
+    // Strongest shape over this balloon (0 = not hovered).
+    let strength = 0;
+
+    if (needNdc) {
+      projectToNDC(vp, posX[i], posY[i], posZ[i], tmpNdc);
+      const balloonClipOK = tmpNdc.z >= -1 && tmpNdc.z <= 1;
+
+      if (balloonClipOK) {
+        if (binned) {
+          const c = ndcCell(tmpNdc.x, gridN) + ndcCell(tmpNdc.y, gridN) * gridN;
+          const end = cellStart[c + 1];
+          for (let k = cellStart[c]; k < end; k++) {
+            const e = items[k];
+            if (e < 0) {
+              const bb = boxes[-e - 1];
+              const sb = bb.strength ?? 1;
+              if (sb > strength && tmpNdc.x >= bb.minX && tmpNdc.x <= bb.maxX && tmpNdc.y >= bb.minY && tmpNdc.y <= bb.maxY) {
+                strength = sb;
+              }
+              continue;
+            }
+
+            const op = points[e];
+            const sp = op.strength ?? 1;
+            if (sp <= strength) continue;
+            const dx = tmpNdc.x - pointNdc[e * 2];
+            const dy = tmpNdc.y - pointNdc[e * 2 + 1];
+            if (dx * dx + dy * dy < pointRadiusSq[e] && (!op.depthAware || Math.abs(posZ[i] - op.z) < depthTol)) {
+              strength = sp;
+            }
+          }
+        }
+
+        for (let mi = 0; mi < masks.length; mi++) {
+          const mask = masks[mi];
+          const sm = mask.strength ?? 1;
+          if (sm > strength && sampleMask(mask, tmpNdc.x, tmpNdc.y) >= (mask.threshold ?? 0.5)) strength = sm;
+        }
+      }
+    }
+
+    if (!useScreen) {
+      const bx = posX[i], by = posY[i], bz = posZ[i];
+      for (let j = 0; j < pointCount; j++) {
+        const op = points[j];
+        const sp = op.strength ?? 1;
+        if (sp <= strength) continue;
+        const dx = bx - op.x;
+        const dy = by - op.y;
+        const dz = bz - op.z;
+        const rSq = op.radiusWorld > 0 ? op.radiusWorld * op.radiusWorld : rWSq;
+        if (dx * dx + dy * dy + dz * dz < rSq) strength = sp;
+      }
+    }
+
+    const hovered = strength > 0;
+
+    if (thermal) {
+      if (hovered) {
+        burn[i] = Math.max(burn[i], th.hoverBurnHold * strength);
+      } else if (burn[i] <= 0 && b <= 0.01 && posY[i] < bounds.yMax * randomLight.thresholdY) {
+        if (state.rand() < randomLight.rate * dt) burn[i] = th.idleBurnDuration;
+      }
+      continue;
+    }
+
+    if (hovered) b += buoyancyRiseRate * strength * dt;
+    else if (b > 0) b -= decay[i] * dt;
+
+    if (!hovered && b <= 0.01 && posY[i] < bounds.yMax * randomLight.thresholdY) {
+      if (state.rand() < randomLight.rate * dt) b = 1.0;
+    }
+
+    b = clamp(b, 0, 1);
+    buoy[i] = b;
+    iBuoy[i] = b;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* ORB PUSH (MOMENTUM TRANSFER)                                                */
+/* -------------------------------------------------------------------------- */
+/**
+ * Optional impulse model (config.interaction.push): moving orbs shove and herd
+ * balloons instead of only heating them.
+ *
+ * For every point moving faster than minSpeed, balloons within reach are
+ * accelerated along the orb's direction of motion until they match its speed:
+ *   Δv = ô · max(0, |v_orb| - v·ô) · strength · falloff · dt
+ * so a fast swipe shoves (capped at maxSpeed) and a slow hand pushes balloons
+ * ahead of it at walking pace. Balloons are never braked by a still orb.
+ *
+ * Reach uses the same space as hover: NDC distance (radiusNDC, reusing the
+ * point projections from applyInfluence) with useScreenSpaceHit, else world
+ * distance (radiusWorld). A point's own radiusNDC / radiusWorld (> 0)
+ * overrides these, so it pushes over the same area it hovers.
+ * falloff = (1 - d / radius) ^ falloffPower.
+ * Landed and despawned balloons are skipped.
+ */
+export function applyOrbPush(state, dt, influencers) {
+  const cfg = state.config.interaction.push;
+  if (!cfg?.enabled) return;
+
+  const points = influencers?.points || EMPTY;
+  const pointCount = influencers?.pointCount ?? points.length;
+  if (pointCount === 0) return;
+
+  // Skip the balloon loop entirely when every orb is (nearly) still.
+  const minSpeedSq = cfg.minSpeed * cfg.minSpeed;
+  let moving = false;
+  for (let j = 0; j < pointCount && !moving; j++) {
+    const p = points[j];
+    moving = (p.vx || 0) ** 2 + (p.vy || 0) ** 2 + (p.vz || 0) ** 2 > minSpeedSq;
+  }
+  if (!moving) return;
+
+  const { posX, posY, posZ, velX, velY, velZ, landed, despawned, viewProjection: vp } = state;
+  const useScreen = !!state.config.interaction.useScreenSpaceHit;
+  const pointNdc = state.pointNdc;
+
+  for (let i = 0; i < state.count; i++) {
+    if (despawned[i] || landed[i]) continue;
+
+    let bx = posX[i], by = posY[i];
+    if (useScreen) {
+      projectToNDC(vp, posX[i], posY[i], posZ[i], tmpNdc);
+      if (tmpNdc.z < -1 || tmpNdc.z > 1) continue;
+      bx = tmpNdc.x;
+      by = tmpNdc.y;
+    }
+
+    for (let j = 0; j < pointCount; j++) {
+      const p = points[j];
+      const vx = p.vx || 0, vy = p.vy || 0, vz = p.vz || 0;
+      const speedSq = vx * vx + vy * vy + vz * vz;
+      if (speedSq <= minSpeedSq) continue;
+
+      const own = useScreen ? p.radiusNDC : p.radiusWorld;
+      const radius = own > 0 ? own : useScreen ? cfg.radiusNDC : cfg.radiusWorld;
+
+      let dSq;
+      if (useScreen) {
+        const dx = bx - pointNdc[j * 2];
+        const dy = by - pointNdc[j * 2 + 1];
+        dSq = dx * dx + dy * dy;
+      } else {
+        const dx = bx - p.x;
+        const dy = by - p.y;
+        const dz = posZ[i] - p.z;
+        dSq = dx * dx + dy * dy + dz * dz;
+      }
+      // NaN (clipped point) fails the comparison on its own.
+      if (!(dSq < radius * radius)) continue;
+
+      const speed = Math.min(Math.sqrt(speedSq), cfg.maxSpeed);
+      const inv = 1 / Math.sqrt(speedSq);
+      const ox = vx * inv, oy = vy * inv, oz = vz * inv;
+
+      const deficit = speed - (velX[i] * ox + velY[i] * oy + velZ[i] * oz);
+      if (deficit <= 0) continue;
+
+      const falloff = Math.pow(1 - Math.sqrt(dSq) / radius, cfg.falloffPower);
+      const k = Math.min(deficit, deficit * cfg.strength * (p.strength ?? 1) * falloff * dt);
+      velX[i] += ox * k;
+      velY[i] += oy * k * cfg.verticalScale;
+      velZ[i] += oz * k;
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* WIND FIELD                                                                  */
+/* -------------------------------------------------------------------------- */
+/**
+ * The wind field is a pure function of (position, state.wind) so physics and
+ * debug overlays sample exactly the same air:
+ *  - layered base wind by altitude (config.wind.layers)
+ *  - curl-noise turbulence (divergence-free swirls)
+ *  - a swarm-wide gust envelope advanced once per step in updateWind()
+ *
+ * sampleWind writes into `out` (any {x,y,z}) to stay allocation-free.
+ */
+
+// Integer hash → [-1, 1]. Cheap and good enough for value noise.
+function hashNoise3(ix, iy, iz) {
+  let h = Math.imul(ix, 374761393) ^ Math.imul(iy, 668265263) ^ Math.imul(iz, 1274126177);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return (h >>> 0) / 2147483648 - 1;
+}
+
+function valueNoise3(x, y, z) {
+  const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+  const fx = fade(x - ix), fy = fade(y - iy), fz = fade(z - iz);
+
+  const n000 = hashNoise3(ix, iy, iz);
+  const n100 = hashNoise3(ix + 1, iy, iz);
+  const n010 = hashNoise3(ix, iy + 1, iz);
+  const n110 = hashNoise3(ix + 1, iy + 1, iz);
+  const n001 = hashNoise3(ix, iy, iz + 1);
+  const n101 = hashNoise3(ix + 1, iy, iz + 1);
+  const n011 = hashNoise3(ix, iy + 1, iz + 1);
+  const n111 = hashNoise3(ix + 1, iy + 1, iz + 1);
+
+  const nx00 = n000 + (n100 - n000) * fx;
+  const nx10 = n010 + (n110 - n010) * fx;
+  const nx01 = n001 + (n101 - n001) * fx;
+  const nx11 = n011 + (n111 - n011) * fx;
+  const nxy0 = nx00 + (nx10 - nx00) * fy;
+  const nxy1 = nx01 + (nx11 - nx01) * fy;
+  return nxy0 + (nxy1 - nxy0) * fz;
+}
+
+/**
+ * Curl of a vector potential built from three decorrelated noise fields.
+ * Forward differences: 9 noise lookups per sample.
+ */
+const CURL_EPS = 0.35;
+const CURL_OFF_Y = 31.7;
+const CURL_OFF_Z = 73.1;
+
+function addCurlNoise(x, y, z, strength, out) {
+  const e = CURL_EPS;
+
+  const px = valueNoise3(x, y, z);
+  const py = valueNoise3(x + CURL_OFF_Y, y, z);
+  const pz = valueNoise3(x + CURL_OFF_Z, y, z);
+
+  const dPzDy = (valueNoise3(x + CURL_OFF_Z, y + e, z) - pz) / e;
+  const dPyDz = (valueNoise3(x + CURL_OFF_Y, y, z + e) - py) / e;
+  const dPxDz = (valueNoise3(x, y, z + e) - px) / e;
+  const dPzDx = (valueNoise3(x + CURL_OFF_Z + e, y, z) - pz) / e;
+  const dPyDx = (valueNoise3(x + CURL_OFF_Y + e, y, z) - py) / e;
+  const dPxDy = (valueNoise3(x, y + e, z) - px) / e;
+
+  out.x += (dPzDy - dPyDz) * strength;
+  out.y += (dPxDz - dPzDx) * strength;
+  out.z += (dPyDx - dPxDy) * strength;
+}
+
+function sampleLayerWind(config, y, out) {
+  const { layers, direction } = config.wind;
+  out.x = 0;
+  out.y = 0;
+  out.z = 0;
+  if (!layers || !layers.length) return out;
+
+  let lo = layers[0];
+  let hi = layers[layers.length - 1];
+  let k = 0;
+
+  if (y <= lo.altitude) {
+    hi = lo;
+  } else if (y >= hi.altitude) {
+    lo = hi;
+  } else {
+    for (let l = 1; l < layers.length; l++) {
+      if (y < layers[l].altitude) {
+        lo = layers[l - 1];
+        hi = layers[l];
+        k = fade((y - lo.altitude) / ((hi.altitude - lo.altitude) || 1));
+        break;
+      }
+    }
+  }
+
+  // Blend vectors (not angles) so opposing layers shear through calm air.
+  const aLo = degToRad(lo.direction + direction);
+  const aHi = degToRad(hi.direction + direction);
+  out.x = Math.cos(aLo) * lo.speed * (1 - k) + Math.cos(aHi) * hi.speed * k;
+  out.z = Math.sin(aLo) * lo.speed * (1 - k) + Math.sin(aHi) * hi.speed * k;
+  return out;
+}
+
+export function sampleWind(state, x, y, z, out) {
+  const cfg = state.config.wind;
+  const wind = state.wind;
+  sampleLayerWind(state.config, y, out);
+
+  const turb = cfg.turbulence;
+  if (turb && turb.strength > 0) {
+    const sc = turb.scale;
+    const drift = wind.time * turb.evolution;
+    addCurlNoise(x * sc + drift, y * sc, z * sc - drift * 0.7, turb.strength, out);
+  }
+
+  if (wind.gustTimeLeft > 0) {
+    const p = 1 - wind.gustTimeLeft / wind.gustDuration;
+    const g = Math.sin(Math.PI * p) * wind.gustStrength;
+    out.x += wind.gustDirX * g;
+    out.z += wind.gustDirZ * g;
+  }
+
+  out.x *= cfg.strength;
+  out.y *= cfg.strength;
+  out.z *= cfg.strength;
+  return out;
+}
+
+/**
+ * Starts a gust along the global wind direction (± jitter).
+ */
+export function startGust(state, strength) {
+  const cfg = state.config.wind;
+  const g = cfg.gusts;
+  const jitter = randFloatSpread(state, g.directionJitter * 2);
+  const a = degToRad(cfg.direction + jitter);
+
+  state.wind.gustDuration = Math.max(0.1, randFloat(state, g.duration.min, g.duration.max));
+  state.wind.gustTimeLeft = state.wind.gustDuration;
+  state.wind.gustStrength = strength ?? g.strength;
+  state.wind.gustDirX = Math.cos(a);
+  state.wind.gustDirZ = Math.sin(a);
+}
+
+export function updateWind(state, dt) {
+  const wind = state.wind;
+  wind.time += dt;
+
+  if (wind.gustTimeLeft > 0) {
+    wind.gustTimeLeft = Math.max(0, wind.gustTimeLeft - dt);
+  } else if (state.rand() < state.config.wind.gusts.rate * dt) {
+    startGust(state);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* SPATIAL GRID (BROADPHASE)                                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Uniform grid over the simulation volume, rebuilt every step with a counting
+ * sort so it stays allocation-free once warmed up:
+ *  - cellOf[i]: flattened cell index of balloon i (-1 while despawned)
+ *  - items: balloon indices grouped by cell
+ *  - cellStart[c]..cellStart[c + 1]: range of cell c inside items
+ *
+ * Balloons slightly outside bounds are clamped into the border cells, so the
+ * grid never misses a pair; it just gets a little denser at the edges.
+ */
+const GRID_MAX_CELLS = 1 << 18;
+
+function gridCoord(v, min, size, n) {
+  const c = Math.floor((v - min) / size);
+  return c < 0 ? 0 : c >= n ? n - 1 : c;
+}
+
+export function buildSpatialGrid(state, cellSize) {
+  const { bounds, posX, posY, posZ, despawned } = state;
+  const g = state.grid;
+  const n = state.count;
+
+  const spanX = bounds.xOff * 2;
+  const spanY = bounds.ySpawnTop - bounds.yOffBottom;
+  const spanZ = bounds.zMax - bounds.zMin;
+
+  // Tiny cells on a large volume would explode memory; coarsen instead.
+  let size = Math.max(1e-3, cellSize);
+  const estCells = (spanX / size + 1) * (spanY / size + 1) * (spanZ / size + 1);
+  if (estCells > GRID_MAX_CELLS) size *= Math.cbrt(estCells / GRID_MAX_CELLS);
+
+  g.cellSize = size;
+  g.minX = -bounds.xOff;
+  g.minY = bounds.yOffBottom;
+  g.minZ = bounds.zMin;
+  g.nx = Math.max(1, Math.ceil(spanX / size));
+  g.ny = Math.max(1, Math.ceil(spanY / size));
+  g.nz = Math.max(1, Math.ceil(spanZ / size));
+
+  const cells = g.nx * g.ny * g.nz;
+  if (g.cellStart.length < cells + 1) g.cellStart = new Int32Array(cells + 1);
+  if (g.items.length < n) {
+    g.items = new Int32Array(n);
+    g.cellOf = new Int32Array(n);
+  }
+
+  const { cellStart, cellOf, items, nx, ny } = g;
+  cellStart.fill(0, 0, cells + 1);
+
+  for (let i = 0; i < n; i++) {
+    if (despawned[i]) {
+      cellOf[i] = -1;
+      continue;
+    }
+    const cx = gridCoord(posX[i], g.minX, size, g.nx);
+    const cy = gridCoord(posY[i], g.minY, size, g.ny);
+    const cz = gridCoord(posZ[i], g.minZ, size, g.nz);
+    const c = cx + cy * nx + cz * nx * ny;
+    cellOf[i] = c;
+    cellStart[c]++;
+  }
+
+  // Inclusive prefix sum, then fill backwards so cellStart[c] ends up as the
+  // first slot of cell c and cellStart[c + 1] as one past its last.
+  let acc = 0;
+  for (let c = 0; c < cells; c++) {
+    acc += cellStart[c];
+    cellStart[c] = acc;
+  }
+  cellStart[cells] = acc;
+
+  for (let i = n - 1; i >= 0; i--) if (cellOf[i] >= 0) items[--cellStart[cellOf[i]]] = i;
+}
+
+/* -------------------------------------------------------------------------- */
+/* BALLOON COLLISIONS                                                          */
+/* -------------------------------------------------------------------------- */
+/**
+ * resolveCollisions separates overlapping envelopes (sphere approximation):
+ *  - positions are pushed apart symmetrically along the contact normal
+ *  - approaching pairs exchange an impulse scaled by (1 + restitution)
+ *
+ * Each pair is visited once (j > i) by scanning the 27 cells around balloon i.
+ */
+export function resolveCollisions(state) {
+  const { config, posX, posY, posZ, velX, velY, velZ } = state;
+  const cfg = config.collisions;
+  if (!cfg.enabled) return;
+
+  const minDist = cfg.radius * config.balloons.scale * 2;
+  if (minDist <= 0) return;
+  const minDistSq = minDist * minDist;
+  const restitution = cfg.restitution;
+  const correction = clamp(cfg.positionCorrection ?? 1, 0, 1);
+
+  buildSpatialGrid(state, minDist);
+  const { nx, ny, nz, cellStart, cellOf, items } = state.grid;
+  const nxy = nx * ny;
+
+  for (let i = 0; i < state.count; i++) {
+    const c = cellOf[i];
+    if (c < 0) continue;
+    const cx = c % nx;
+    const cy = ((c / nx) | 0) % ny;
+    const cz = (c / nxy) | 0;
+
+    for (let z = Math.max(0, cz - 1); z <= Math.min(nz - 1, cz + 1); z++) {
+      for (let y = Math.max(0, cy - 1); y <= Math.min(ny - 1, cy + 1); y++) {
+        for (let x = Math.max(0, cx - 1); x <= Math.min(nx - 1, cx + 1); x++) {
+          const cell = x + y * nx + z * nxy;
+          const end = cellStart[cell + 1];
+
+          for (let k = cellStart[cell]; k < end; k++) {
+            const j = items[k];
+            if (j <= i) continue;
+
+            const dx = posX[j] - posX[i];
+            const dy = posY[j] - posY[i];
+            const dz = posZ[j] - posZ[i];
+            const distSq = dx * dx + dy * dy + dz * dz;
+            if (distSq === 0 || distSq >= minDistSq) continue;
+
+            const dist = Math.sqrt(distSq);
+            const nX = dx / dist;
+            const nY = dy / dist;
+            const nZ = dz / dist;
+            const half = (minDist - dist) * 0.5 * correction;
+
+            posX[i] -= nX * half;
+            posY[i] -= nY * half;
+            posZ[i] -= nZ * half;
+            posX[j] += nX * half;
+            posY[j] += nY * half;
+            posZ[j] += nZ * half;
+
+            const velAlongNormal =
+              (velX[j] - velX[i]) * nX + (velY[j] - velY[i]) * nY + (velZ[j] - velZ[i]) * nZ;
+            if (velAlongNormal > 0) continue;
+
+            const jImpulse = -(1 + restitution) * velAlongNormal * 0.5;
+            velX[i] -= jImpulse * nX;
+            velY[i] -= jImpulse * nY;
+            velZ[i] -= jImpulse * nZ;
+            velX[j] += jImpulse * nX;
+            velY[j] += jImpulse * nY;
+            velZ[j] += jImpulse * nZ;
+          }
+        }
+      }
+    }
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* OBSTACLES                                                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Static colliders balloons flow around (config.obstacles.list, plain data):
+ *  - { type: "box", center: { x, y, z }, size: { x, y, z } }   axis-aligned
+ *  - { type: "sphere", center: { x, y, z }, radius }
+ *  - { type: "screenRect", minX, maxX, minY, maxY }            NDC no-fly zone
+ *    (covers the full depth range of the view)
+ *
+ * Each balloon is a sphere of collisions.radius * balloons.scale + padding:
+ *  - penetrating: pushed out along the surface normal, and the inward normal
+ *    velocity is reflected with obstacles.restitution
+ *  - within avoidMargin of the surface: accelerated outward, ramping up to
+ *    avoidStrength at contact, so the swarm slides around instead of piling up
+ *
+ * Screen rects are resolved in NDC and mapped back to a world XY push through
+ * the local screen Jacobian, so they hold under any camera.
+ */
+export const OBSTACLE_TYPES = ["box", "sphere", "screenRect"];
+
+const obstacleHit = { nx: 0, ny: 0, nz: 0, dist: 0 };
+
+// Signed distance from (x, y, z) to an axis-aligned box surface + outward normal.
+function boxContact(o, x, y, z, out) {
+  const dx = x - o.center.x;
+  const dy = y - o.center.y;
+  const dz = z - o.center.z;
+  const qx = Math.abs(dx) - o.size.x * 0.5;
+  const qy = Math.abs(dy) - o.size.y * 0.5;
+  const qz = Math.abs(dz) - o.size.z * 0.5;
+  const sx = dx < 0 ? -1 : 1;
+  const sy = dy < 0 ? -1 : 1;
+  const sz = dz < 0 ? -1 : 1;
+
+  if (qx > 0 || qy > 0 || qz > 0) {
+    const ox = Math.max(qx, 0);
+    const oy = Math.max(qy, 0);
+    const oz = Math.max(qz, 0);
+    const d = Math.sqrt(ox * ox + oy * oy + oz * oz);
+    out.nx = (sx * ox) / d;
+    out.ny = (sy * oy) / d;
+    out.nz = (sz * oz) / d;
+    out.dist = d;
+  } else if (qx >= qy && qx >= qz) {
+    out.nx = sx;
+    out.ny = 0;
+    out.nz = 0;
+    out.dist = qx;
+  } else if (qy >= qz) {
+    out.nx = 0;
+    out.ny = sy;
+    out.nz = 0;
+    out.dist = qy;
+  } else {
+    out.nx = 0;
+    out.ny = 0;
+    out.nz = sz;
+    out.dist = qz;
+  }
+  return out;
+}
+
+function sphereContact(o, x, y, z, out) {
+  const dx = x - o.center.x;
+  const dy = y - o.center.y;
+  const dz = z - o.center.z;
+  const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+  if (len > 1e-6) {
+    out.nx = dx / len;
+    out.ny = dy / len;
+    out.nz = dz / len;
+  } else {
+    out.nx = 0;
+    out.ny = 1;
+    out.nz = 0;
+  }
+  out.dist = len - o.radius;
+  return out;
+}
+
+/**
+ * Screen rect in NDC. jac holds the balloon's screen Jacobian
+ * [du/dx, du/dy, dv/dx, dv/dy] (NDC per world unit) at its position (u, v).
+ * Picks the nearest rect edge, converts the NDC gap to world units and maps
+ * the outward NDC direction back to a world XY normal. Returns false when
+ * the Jacobian is degenerate.
+ */
+function screenRectContact(o, u, v, jac, out) {
+  const [a, b, c, d] = jac;
+  const su = Math.sqrt(a * a + b * b);
+  const sv = Math.sqrt(c * c + d * d);
+  const det = a * d - b * c;
+  if (su < 1e-9 || sv < 1e-9 || Math.abs(det) < 1e-12) return false;
+
+  // Outside distance per edge (world units, positive = outside that edge).
+  const gl = (o.minX - u) / su;
+  const gr = (u - o.maxX) / su;
+  const gb = (o.minY - v) / sv;
+  const gt = (v - o.maxY) / sv;
+
+  // The largest gap is the nearest exit (inside) or the separating edge.
+  let dist = gl;
+  let du = -1;
+  let dv = 0;
+  if (gr > dist) {
+    dist = gr;
+    du = 1;
+  }
+  if (gb > dist) {
+    dist = gb;
+    du = 0;
+    dv = -1;
+  }
+  if (gt > dist) {
+    dist = gt;
+    du = 0;
+    dv = 1;
+  }
+
+  // World XY direction whose screen motion is (du, dv): J⁻¹ · (du, dv).
+  const wx = (d * du - b * dv) / det;
+  const wy = (-c * du + a * dv) / det;
+  const len = Math.sqrt(wx * wx + wy * wy);
+  out.nx = wx / len;
+  out.ny = wy / len;
+  out.nz = 0;
+  out.dist = dist;
+  return true;
+}
+
+function resolveObstacleContact(state, i, hit, radius, dt) {
+  const cfg = state.config.obstacles;
+  const { posX, posY, posZ, velX, velY, velZ } = state;
+  const gap = hit.dist - radius;
+
+  if (gap < 0) {
+    posX[i] -= hit.nx * gap;
+    posY[i] -= hit.ny * gap;
+    posZ[i] -= hit.nz * gap;
+
+    const vn = velX[i] * hit.nx + velY[i] * hit.ny + velZ[i] * hit.nz;
+    if (vn < 0) {
+      const k = (1 + cfg.restitution) * vn;
+      velX[i] -= hit.nx * k;
+      velY[i] -= hit.ny * k;
+      velZ[i] -= hit.nz * k;
+    }
+  } else if (gap < cfg.avoidMargin) {
+    const k = cfg.avoidStrength * (1 - gap / cfg.avoidMargin) * dt;
+    velX[i] += hit.nx * k;
+    velY[i] += hit.ny * k;
+    velZ[i] += hit.nz * k;
+  }
+}
+
+const obstacleJac = [0, 0, 0, 0];
+const obstacleNdc = { x: 0, y: 0, z: 0 };
+const obstacleNdcStep = { x: 0, y: 0, z: 0 };
+
+/**
+ * Resolves balloon i against every obstacle. Called from updatePhysics after
+ * collisions so neighbors can't shove a balloon into a collider.
+ */
+function applyObstacles(state, i, dt) {
+  const { config, posX, posY, posZ, viewProjection: vp } = state;
+  const list = config.obstacles.list;
+  const radius = config.collisions.radius * config.balloons.scale + config.obstacles.padding;
+  let screenReady = false;
+
+  for (let k = 0; k < list.length; k++) {
+    const o = list[k];
+
+    if (o.type === "box") {
+      boxContact(o, posX[i], posY[i], posZ[i], obstacleHit);
+    } else if (o.type === "sphere") {
+      sphereContact(o, posX[i], posY[i], posZ[i], obstacleHit);
+    } else if (o.type === "screenRect") {
+      if (!screenReady) {
+        // Finite differences over one world unit give the screen Jacobian.
+        const x = posX[i], y = posY[i], z = posZ[i];
+        projectToNDC(vp, x, y, z, obstacleNdc);
+        if (obstacleNdc.z < -1 || obstacleNdc.z > 1) continue;
+        projectToNDC(vp, x + 1, y, z, obstacleNdcStep);
+        obstacleJac[0] = obstacleNdcStep.x - obstacleNdc.x;
+        obstacleJac[2] = obstacleNdcStep.y - obstacleNdc.y;
+        projectToNDC(vp, x, y + 1, z, obstacleNdcStep);
+        obstacleJac[1] = obstacleNdcStep.x - obstacleNdc.x;
+        obstacleJac[3] = obstacleNdcStep.y - obstacleNdc.y;
+        screenReady = true;
+      }
+      if (!screenRectContact(o, obstacleNdc.x, obstacleNdc.y, obstacleJac, obstacleHit)) continue;
+    } else {
+      continue;
+    }
+
+    resolveObstacleContact(state, i, obstacleHit, radius, dt);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* FLOCKING (BOIDS)                                                            */
+/* -------------------------------------------------------------------------- */
+/**
+ * Optional boids steering (config.flocking), computed once per step from the
+ * positions at the start of the step and added as an acceleration in
+ * updatePhysics:
+ *  - separation: push away from neighbors closer than separationRadius
+ *  - alignment:  match the average neighbor velocity
+ *  - cohesion:   drift toward the neighbor centroid (scaled by 1/radius)
+ *  - orbs:       influencer points attract or scare ("predator") balloons
+ *                within orbs.radius, with linear falloff
+ *
+ * Neighbors come from the spatial grid with cell = neighborRadius, so only the
+ * 27 surrounding cells are scanned; maxNeighbors caps work in dense clumps.
+ * Landed, tethered and despawned balloons neither steer nor count as flockmates.
+ * verticalScale damps the Y component so buoyancy still owns altitude.
+ */
+export function updateFlocking(state, dt, influencers) {
+  const cfg = state.config.flocking;
+  if (!cfg.enabled) return;
+
+  const { posX, posY, posZ, velX, velY, velZ, landed, tethered, flockX, flockY, flockZ } = state;
+  const n = state.count;
+  const r = Math.max(1e-3, cfg.neighborRadius);
+  const rSq = r * r;
+  const sepR = Math.max(1e-3, cfg.separationRadius);
+  const sepRSq = sepR * sepR;
+  const { separation: wS, alignment: wA, cohesion: wC } = cfg.weights;
+  const maxN = Math.max(1, cfg.maxNeighbors | 0);
+  const maxForce = cfg.maxForce;
+
+  const orbs = cfg.orbs;
+  const orbSign = orbs.mode === "predator" ? 1 : orbs.mode === "attract" ? -1 : 0;
+  const orbR = Math.max(1e-3, orbs.radius);
+  const orbRSq = orbR * orbR;
+  const points = orbSign ? influencers?.points || EMPTY : EMPTY;
+  const pointCount = orbSign ? influencers?.pointCount ?? points.length : 0;
+
+  buildSpatialGrid(state, r);
+  const { nx, ny, nz, cellStart, cellOf, items } = state.grid;
+  const nxy = nx * ny;
+
+  for (let i = 0; i < n; i++) {
+    flockX[i] = 0;
+    flockY[i] = 0;
+    flockZ[i] = 0;
+
+    const c = cellOf[i];
+    if (c < 0 || landed[i] || tethered[i] || state.formed[i] || state.held[i]) continue;
+
+    const px = posX[i], py = posY[i], pz = posZ[i];
+    let sx = 0, sy = 0, sz = 0;
+    let ax = 0, ay = 0, az = 0;
+    let cx = 0, cy = 0, cz = 0;
+    let count = 0;
+
+    const gx = c % nx;
+    const gy = ((c / nx) | 0) % ny;
+    const gz = (c / nxy) | 0;
+
+    scan: for (let z = Math.max(0, gz - 1); z <= Math.min(nz - 1, gz + 1); z++) {
+      for (let y = Math.max(0, gy - 1); y <= Math.min(ny - 1, gy + 1); y++) {
+        for (let x = Math.max(0, gx - 1); x <= Math.min(nx - 1, gx + 1); x++) {
+          const cell = x + y * nx + z * nxy;
+          const end = cellStart[cell + 1];
+
+          for (let k = cellStart[cell]; k < end; k++) {
+            const j = items[k];
+            if (j === i || landed[j] || tethered[j]) continue;
+
+            const dx = px - posX[j];
+            const dy = py - posY[j];
+            const dz = pz - posZ[j];
+            const dSq = dx * dx + dy * dy + dz * dz;
+            if (dSq >= rSq) continue;
+
+            if (dSq < sepRSq && dSq > 0) {
+              const d = Math.sqrt(dSq);
+              const push = (1 - d / sepR) / d;
+              sx += dx * push;
+              sy += dy * push;
+              sz += dz * push;
+            }
+
+            ax += velX[j];
+            ay += velY[j];
+            az += velZ[j];
+            cx += posX[j];
+            cy += posY[j];
+            cz += posZ[j];
+
+            if (++count >= maxN) break scan;
+          }
+        }
+      }
+    }
+
+    let fx = 0, fy = 0, fz = 0;
+
+    if (count > 0) {
+      const inv = 1 / count;
+      fx = wS * sx + wA * (ax * inv - velX[i]) + (wC * (cx * inv - px)) / r;
+      fy = wS * sy + wA * (ay * inv - velY[i]) + (wC * (cy * inv - py)) / r;
+      fz = wS * sz + wA * (az * inv - velZ[i]) + (wC * (cz * inv - pz)) / r;
+    }
+
+    for (let j = 0; j < pointCount; j++) {
+      const op = points[j];
+      const dx = px - op.x;
+      const dy = py - op.y;
+      const dz = pz - op.z;
+      const dSq = dx * dx + dy * dy + dz * dz;
+      if (dSq >= orbRSq || dSq === 0) continue;
+
+      const d = Math.sqrt(dSq);
+      const k = (orbSign * orbs.strength * (op.strength ?? 1) * (1 - d / orbR)) / d;
+      fx += dx * k;
+      fy += dy * k;
+      fz += dz * k;
+    }
+
+    fy *= cfg.verticalScale;
+
+    const mSq = fx * fx + fy * fy + fz * fz;
+    if (mSq > maxForce * maxForce) {
+      const m = maxForce / Math.sqrt(mSq);
+      fx *= m;
+      fy *= m;
+      fz *= m;
+    }
+
+    flockX[i] = fx;
+    flockY[i] = fy;
+    flockZ[i] = fz;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* FORMATION                                                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Formation mode flies balloons into a shape and holds it until release.
+ *
+ * A shape is plain data, usually sampled by the browser from text, an SVG path
+ * or an image's alpha:
+ *  - points: [u0, v0, u1, v1, ...] in [-1, 1], aspect preserved, +v up
+ *  - count:  number of (u, v) pairs (defaults to points.length / 2)
+ *  - colors: optional [r, g, b, ...] sRGB 0..1 per point (image tints)
+ *
+ * Targets stay normalized and are mapped onto the current view every step
+ * (formationTarget), so the formation follows resizes. config.formation sets
+ * the footprint, depth plane and the spring that steers balloons in
+ * updatePhysics. Formed balloons ignore lift, wind and flocking, and are
+ * pinned at the boundaries; collisions still keep them apart.
+ */
+/**
+ * World units per normalized shape unit for the current view. Samplers use it
+ * to keep targets at least one collision diameter apart.
+ */
+export function formationScale(state) {
+  const { bounds } = state;
+  const f = state.config.formation;
+  return Math.min(bounds.xVisible * f.width, (bounds.yMax - bounds.yMin) * 0.5 * f.height);
+}
+
+function formationTarget(state, u, v, out) {
+  const { bounds } = state;
+  const f = state.config.formation;
+  const scale = formationScale(state);
+
+  out.x = u * scale;
+  out.y = bounds.yMin + (bounds.yMax - bounds.yMin) * f.centerY + v * scale;
+  out.z = f.z;
+  return out;
+}
+
+// Orders indices into ~sqrt(n) vertical strips (by x), each sorted by y, so
+// pairing two such orders index-by-index keeps neighbors near neighbors.
+function stripOrder(ids, xs, ys) {
+  ids.sort((a, b) => xs[a] - xs[b]);
+  const strips = Math.max(1, Math.round(Math.sqrt(ids.length)));
+  const per = Math.ceil(ids.length / strips);
+  const out = [];
+  for (let k = 0; k < ids.length; k += per) {
+    out.push(...ids.slice(k, k + per).sort((a, b) => ys[a] - ys[b]));
+  }
+  return out;
+}
+
+/**
+ * Assigns shape targets to free balloons (not tethered, despawned or held) and
+ * returns how many were formed. With more targets than balloons the shape is
+ * subsampled evenly; with fewer, the balloons closest to the formation center
+ * are used and the rest keep flying. Any previous formation is released first.
+ */
+export function setFormation(state, shape) {
+  releaseFormation(state);
+
+  const { posX, posY, tethered, despawned, held, formed, formU, formV } = state;
+  const pts = shape?.points;
+  const total = pts ? Math.min(shape.count ?? pts.length >> 1, pts.length >> 1) : 0;
+  if (total === 0) return 0;
+
+  const center = formationTarget(state, 0, 0, { x: 0, y: 0, z: 0 });
+  const free = [];
+  for (let i = 0; i < state.count; i++) if (!tethered[i] && !despawned[i] && !held[i]) free.push(i);
+
+  const n = Math.min(total, free.length);
+  if (n === 0) return 0;
+
+  const dist = new Float32Array(state.count);
+  for (const i of free) dist[i] = (posX[i] - center.x) ** 2 + (posY[i] - center.y) ** 2;
+  free.sort((a, b) => dist[a] - dist[b]);
+  const balloons = stripOrder(free.slice(0, n), posX, posY);
+
+  const tu = new Float32Array(n);
+  const tv = new Float32Array(n);
+  const src = new Int32Array(n);
+  const targets = [];
+  for (let k = 0; k < n; k++) {
+    const t = Math.floor((k * total) / n);
+    tu[k] = pts[t * 2];
+    tv[k] = pts[t * 2 + 1];
+    src[k] = t;
+    targets.push(k);
+  }
+  const order = stripOrder(targets, tu, tv);
+
+  const colors = state.config.formation.useImageColors ? shape.colors : null;
+  const { iBase, formBase } = state;
+
+  for (let k = 0; k < n; k++) {
+    const i = balloons[k];
+    const t = order[k];
+    formed[i] = 1;
+    formU[i] = tu[t];
+    formV[i] = tv[t];
+    if (state.landed[i]) takeOff(state, i);
+
+    const i3 = i * 3;
+    formBase[i3] = iBase[i3];
+    formBase[i3 + 1] = iBase[i3 + 1];
+    formBase[i3 + 2] = iBase[i3 + 2];
+
+    if (colors) {
+      const c3 = src[t] * 3;
+      iBase[i3] = srgbToLinear(colors[c3]);
+      iBase[i3 + 1] = srgbToLinear(colors[c3 + 1]);
+      iBase[i3 + 2] = srgbToLinear(colors[c3 + 2]);
+    }
+  }
+  return n;
+}
+
+/**
+ * Returns every formed balloon to free flight, restoring its own tint and
+ * giving it config.formation.releaseBuoyancy so the shape drifts apart.
+ */
+export function releaseFormation(state) {
+  const { formed, iBase, formBase } = state;
+  const lift = state.config.formation.releaseBuoyancy;
+
+  for (let i = 0; i < state.count; i++) {
+    if (!formed[i]) continue;
+    formed[i] = 0;
+
+    const i3 = i * 3;
+    iBase[i3] = formBase[i3];
+    iBase[i3 + 1] = formBase[i3 + 1];
+    iBase[i3 + 2] = formBase[i3 + 2];
+
+    state.buoy[i] = Math.max(state.buoy[i], lift);
+    state.iBuoy[i] = state.buoy[i];
+  }
+}
+
+const formTarget = { x: 0, y: 0, z: 0 };
+
+// Critically-damped-ish spring toward the target, speed-capped.
+function steerToFormation(state, i, dt) {
+  const { posX, posY, posZ, velX, velY, velZ } = state;
+  const f = state.config.formation;
+  formationTarget(state, state.formU[i], state.formV[i], formTarget);
+
+  velX[i] += (f.stiffness * (formTarget.x - posX[i]) - f.damping * velX[i]) * dt;
+  velY[i] += (f.stiffness * (formTarget.y - posY[i]) - f.damping * velY[i]) * dt;
+  velZ[i] += (f.stiffness * (formTarget.z - posZ[i]) - f.damping * velZ[i]) * dt;
+
+  const vSq = velX[i] * velX[i] + velY[i] * velY[i] + velZ[i] * velZ[i];
+  if (vSq > f.maxSpeed * f.maxSpeed) {
+    const k = f.maxSpeed / Math.sqrt(vSq);
+    velX[i] *= k;
+    velY[i] *= k;
+    velZ[i] *= k;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* GRAB (HELD BALLOONS)                                                        */
+/* -------------------------------------------------------------------------- */
+/**
+ * Hands can pick balloons up (pinch gesture in the browser entry):
+ *  - pickBalloon finds the free balloon nearest to an NDC point
+ *  - grabBalloon marks it held; setHoldTarget moves the point it follows
+ *  - releaseBalloon lets go and throws it with the given velocity
+ *
+ * Held balloons ignore lift, wind, flocking and formations. updatePhysics
+ * pulls them toward their hold target (config.interaction.grab.followRate,
+ * per second, critically damped) so they trail the hand smoothly; collisions
+ * and obstacles still apply, and boundaries treat them as pinned.
+ */
+const pickNdc = { x: 0, y: 0, z: 0 };
+
+export function pickBalloon(state, ndcX, ndcY, radiusNDC) {
+  const { posX, posY, posZ, held, tethered, despawned, formed, viewProjection: vp } = state;
+  let best = -1;
+  let bestSq = radiusNDC * radiusNDC;
+
+  for (let i = 0; i < state.count; i++) {
+    if (held[i] || tethered[i] || despawned[i] || formed[i]) continue;
+    projectToNDC(vp, posX[i], posY[i], posZ[i], pickNdc);
+    if (pickNdc.z < -1 || pickNdc.z > 1) continue;
+
+    const dx = pickNdc.x - ndcX;
+    const dy = pickNdc.y - ndcY;
+    const dSq = dx * dx + dy * dy;
+    if (dSq < bestSq) {
+      bestSq = dSq;
+      best = i;
+    }
+  }
+  return best;
+}
+
+export function grabBalloon(state, i) {
+  if (i < 0 || i >= state.count || state.held[i] || state.despawned[i]) return false;
+  if (state.landed[i]) takeOff(state, i);
+
+  state.held[i] = 1;
+  state.holdX[i] = state.posX[i];
+  state.holdY[i] = state.posY[i];
+  state.holdZ[i] = state.posZ[i];
+  return true;
+}
+
+export function setHoldTarget(state, i, x, y, z) {
+  if (!state.held[i]) return;
+  state.holdX[i] = x;
+  state.holdY[i] = y;
+  state.holdZ[i] = z;
+}
+
+/**
+ * Lets go of balloon i with velocity (vx, vy, vz), capped at
+ * grab.maxThrowSpeed. Released balloons come out lit so a throw arcs
+ * instead of dropping straight away.
+ */
+export function releaseBalloon(state, i, vx = 0, vy = 0, vz = 0) {
+  if (i < 0 || i >= state.count || !state.held[i]) return;
+  const grab = state.config.interaction.grab;
+
+  let k = 1;
+  const speedSq = vx * vx + vy * vy + vz * vz;
+  if (speedSq > grab.maxThrowSpeed * grab.maxThrowSpeed) k = grab.maxThrowSpeed / Math.sqrt(speedSq);
+
+  state.held[i] = 0;
+  state.velX[i] = vx * k;
+  state.velY[i] = vy * k;
+  state.velZ[i] = vz * k;
+  state.buoy[i] = Math.max(state.buoy[i], grab.releaseBuoyancy);
+  state.iBuoy[i] = state.buoy[i];
+}
+
+function steerToHold(state, i, dt) {
+  const { posX, posY, posZ, velX, velY, velZ } = state;
+  const rate = state.config.interaction.grab.followRate;
+
+  // Critically damped spring: ω = rate, so it settles in ~4 / rate seconds.
+  const k = rate * rate;
+  const c = 2 * rate;
+  velX[i] += (k * (state.holdX[i] - posX[i]) - c * velX[i]) * dt;
+  velY[i] += (k * (state.holdY[i] - posY[i]) - c * velY[i]) * dt;
+  velZ[i] += (k * (state.holdZ[i] - posZ[i]) - c * velZ[i]) * dt;
+}
+
+/* -------------------------------------------------------------------------- */
+/* GROUND + TETHERS                                                            */
+/* -------------------------------------------------------------------------- */
+/**
+ * Landing timeline (seconds since touchdown, cumulative from config):
+ *   [0, settle)           upright; enough lift → immediate take-off
+ *   [settle, +tip)        tilt eases to tipAngle
+ *   [.., +deflate)        envelope deflates
+ *   [.., +rest)           lies on the ground
+ *   [.., +reinflate)      tilt/deflate ease back to 0
+ *   end                   take off with a burst of lift
+ *
+ * Getting hot (hover) while tipped jumps to the reinflate phase.
+ */
+export const LANDED_NONE = 0;
+export const LANDED_GROUND = 1;
+
+export function groundHeight(state) {
+  return state.bounds.yMin + state.config.ground.offsetFromBottom;
+}
+
+function restHeight(state) {
+  return groundHeight(state) + state.config.ground.clearance * state.config.balloons.scale;
+}
+
+function touchDown(state, i) {
+  state.landed[i] = LANDED_GROUND;
+  state.landT[i] = 0;
+  state.posY[i] = restHeight(state);
+  state.velX[i] = 0;
+  state.velY[i] = 0;
+  state.velZ[i] = 0;
+}
+
+function takeOff(state, i) {
+  const { config } = state;
+  state.landed[i] = LANDED_NONE;
+  state.landT[i] = 0;
+  state.tilt[i] = 0;
+  state.deflate[i] = 0;
+
+  if (config.physics.model === "thermal") {
+    const th = config.thermal;
+    const air = ambientAir(config, state.posY[i], tmpAir);
+    state.fuel[i] = th.fuelCapacity;
+    state.envTemp[i] = Math.max(state.envTemp[i], neutralTemp(th, air, state.mass[i] + state.fuel[i]));
+    state.burn[i] = Math.max(state.burn[i], th.idleBurnDuration);
+  } else {
+    state.buoy[i] = 1;
+    state.iBuoy[i] = 1;
+  }
+}
+
+/**
+ * Advances a landed balloon. lift is the vertical acceleration the balloon
+ * would have in flight (world units/s²); the balloon stays pinned otherwise.
+ */
+function groundStep(state, i, dt, lift) {
+  const { config, landT, tilt, deflate, buoy } = state;
+  const g = config.ground;
+  const tl = g.timeline;
+
+  const tTip = tl.settle;
+  const tDeflate = tTip + tl.tip;
+  const tRest = tDeflate + tl.deflate;
+  const tReinflate = tRest + tl.rest;
+  const tDone = tReinflate + tl.reinflate;
+
+  let t = landT[i];
+  if (t < tTip) {
+    if (lift > 0) {
+      takeOff(state, i);
+      return;
+    }
+  } else if (t < tReinflate && buoy[i] >= g.reinflateBuoyancy) {
+    t = tReinflate;
+  }
+
+  t += dt;
+  landT[i] = t;
+
+  const tipMax = degToRad(g.tipAngle);
+  if (t < tReinflate) {
+    tilt[i] = tipMax * fade(clamp((t - tTip) / Math.max(1e-3, tl.tip), 0, 1));
+    deflate[i] = fade(clamp((t - tDeflate) / Math.max(1e-3, tl.deflate), 0, 1));
+  } else {
+    const k = 1 - fade(clamp((t - tReinflate) / Math.max(1e-3, tl.reinflate), 0, 1));
+    tilt[i] = tipMax * k;
+    deflate[i] = k;
+  }
+
+  state.posY[i] = restHeight(state);
+  state.velX[i] = 0;
+  state.velY[i] = 0;
+  state.velZ[i] = 0;
+
+  if (t >= tDone) takeOff(state, i);
+}
+
+/**
+ * Ties instances [from, tethers.count) to ground anchors spread across the
+ * view, and releases any tethered instance at or above tethers.count.
+ * Called on reset, when the count grows and when the tether config changes.
+ */
+export function setupTethers(state, from = 0) {
+  const { config, bounds } = state;
+  const tc = config.tethers;
+  const count = clamp(tc.count | 0, 0, tc.maxCount);
+  const n = Math.min(count, state.count);
+
+  for (let i = n; i < state.count; i++) state.tethered[i] = 0;
+
+  for (let i = from; i < n; i++) {
+    const x = bounds.xVisible * tc.spreadX * ((i + 0.5) / count * 2 - 1);
+    const z = randFloat(state, tc.z.min, tc.z.max);
+    const len = randFloat(state, tc.length.min, tc.length.max);
+
+    state.tethered[i] = 1;
+    state.anchorX[i] = x;
+    state.anchorZ[i] = z;
+    state.tetherLen[i] = len;
+
+    state.posX[i] = x;
+    state.posY[i] = groundHeight(state) + len * 0.9 + config.ground.clearance * config.balloons.scale;
+    state.posZ[i] = z;
+    state.velX[i] = 0;
+    state.velY[i] = 0;
+    state.velZ[i] = 0;
+    state.landed[i] = LANDED_NONE;
+  }
+}
+
+/**
+ * Rope constraint: the basket bottom (origin - clearance) may not get further
+ * than tetherLen from the anchor. Inelastic, with a little recoil.
+ */
+function applyTether(state, i) {
+  const { config, posX, posY, posZ, velX, velY, velZ } = state;
+  const clear = config.ground.clearance * config.balloons.scale;
+
+  const dx = posX[i] - state.anchorX[i];
+  const dy = posY[i] - clear - groundHeight(state);
+  const dz = posZ[i] - state.anchorZ[i];
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const len = state.tetherLen[i];
+  if (dist <= len || dist === 0) return;
+
+  const nX = dx / dist;
+  const nY = dy / dist;
+  const nZ = dz / dist;
+  const over = dist - len;
+
+  posX[i] -= nX * over;
+  posY[i] -= nY * over;
+  posZ[i] -= nZ * over;
+
+  const vn = velX[i] * nX + velY[i] * nY + velZ[i] * nZ;
+  if (vn > 0) {
+    const k = vn * (1 + config.tethers.bounce);
+    velX[i] -= nX * k;
+    velY[i] -= nY * k;
+    velZ[i] -= nZ * k;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* BOUNDARIES                                                                  */
+/* -------------------------------------------------------------------------- */
+/**
+ * Per-axis edge rules (config.boundaries.x / .y / .z mode):
+ *  - "respawn": reset in the spawn region (see resetInstance)
+ *  - "wrap":    toroidal; re-enter through the opposite face
+ *  - "bounce":  clamp and reflect velocity scaled by restitution
+ *  - "soft":    inward push ramping up (quadratically) over softWidth from
+ *               the face, with bounce as a backstop
+ *  - "despawn": hide the balloon until the refill budget brings it back
+ *
+ * Axis ranges: x ∈ [-xOff, xOff], y ∈ [yOffBottom, ySpawnTop], z ∈ [zMin, zMax].
+ * Tethered, landed, formed and held balloons are pinned: respawn/wrap/despawn
+ * act as bounce.
+ *
+ * Despawn refill: boundaries.refill.rate balloons/second accrue into a budget
+ * capped at refill.burst; each whole unit respawns one despawned balloon.
+ * rate 0 lets the swarm drain.
+ */
+export const BOUNDARY_MODES = ["respawn", "wrap", "bounce", "soft", "despawn"];
+
+const EDGE_NONE = 0;
+const EDGE_RESPAWN = 1;
+const EDGE_DESPAWN = 2;
+
+function confineAxis(pos, vel, i, min, max, edge, dt, pinned) {
+  let mode = edge.mode;
+  if (pinned && mode !== "soft") mode = "bounce";
+
+  if (mode === "soft") {
+    const w = Math.max(1e-3, edge.softWidth);
+    const inMin = (min + w - pos[i]) / w;
+    const inMax = (pos[i] - (max - w)) / w;
+    if (inMin > 0) vel[i] += edge.softStrength * Math.min(1, inMin * inMin) * dt;
+    if (inMax > 0) vel[i] -= edge.softStrength * Math.min(1, inMax * inMax) * dt;
+  }
+
+  const p = pos[i];
+  if (p >= min && p <= max) return EDGE_NONE;
+
+  if (mode === "respawn") return EDGE_RESPAWN;
+  if (mode === "despawn") return EDGE_DESPAWN;
+
+  if (mode === "wrap") {
+    const span = max - min;
+    if (span > 0) {
+      pos[i] = min + (((p - min) % span) + span) % span;
+      return EDGE_NONE;
+    }
+  }
+
+  const e = edge.restitution;
+  if (p < min) {
+    pos[i] = min;
+    vel[i] = Math.abs(vel[i]) * e;
+  } else {
+    pos[i] = max;
+    vel[i] = -Math.abs(vel[i]) * e;
+  }
+  return EDGE_NONE;
+}
+
+function despawnInstance(state, i) {
+  state.despawned[i] = 1;
+  state.velX[i] = 0;
+  state.velY[i] = 0;
+  state.velZ[i] = 0;
+  state.buoy[i] = 0;
+  state.iBuoy[i] = 0;
+  state.burn[i] = 0;
+}
+
+/**
+ * Applies the three axis rules to balloon i; returns true when it was
+ * respawned or despawned (so later per-step constraints can skip it).
+ */
+function applyBoundaries(state, i, dt) {
+  const { bounds, posX, posY, posZ, velX, velY, velZ } = state;
+  const edges = state.config.boundaries;
+  const pinned = state.tethered[i] || state.landed[i] || state.formed[i] || state.held[i];
+
+  const ex = confineAxis(posX, velX, i, -bounds.xOff, bounds.xOff, edges.x, dt, pinned);
+  const ey = confineAxis(posY, velY, i, bounds.yOffBottom, bounds.ySpawnTop, edges.y, dt, pinned);
+  const ez = confineAxis(posZ, velZ, i, bounds.zMin, bounds.zMax, edges.z, dt, pinned);
+  const edge = Math.max(ex, ey, ez);
+
+  if (edge === EDGE_DESPAWN) despawnInstance(state, i);
+  else if (edge === EDGE_RESPAWN) resetInstance(state, i, false);
+  return edge !== EDGE_NONE;
+}
+
+function refillDespawned(state, dt) {
+  const refill = state.config.boundaries.refill;
+  state.refillBudget = Math.min(Math.max(1, refill.burst), state.refillBudget + refill.rate * dt);
+  if (state.despawnedCount === 0) return;
+
+  const { despawned } = state;
+  for (let i = 0; i < state.count && state.refillBudget >= 1; i++) {
+    if (!despawned[i]) continue;
+    resetInstance(state, i, false);
+    state.refillBudget -= 1;
+    state.despawnedCount--;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* SWAY + GONDOLA PENDULUM                                                      */
+/* -------------------------------------------------------------------------- */
+/**
+ * Render-facing attitude, advanced per step from each balloon's horizontal
+ * acceleration (ax, az) and the air moving past it (relX, relZ = wind - vel):
+ *  - lean: the envelope top tips toward its acceleration and downwind,
+ *    following the target through a damped spring (config.sway), capped at
+ *    maxLean
+ *  - swing: the gondola is a damped 2D pendulum hanging from the envelope
+ *    mouth (config.gondola.swing). In the balloon's frame the pivot's
+ *    acceleration acts as a pseudo-force, so the basket lags behind when the
+ *    balloon speeds up and swings through when it stops:
+ *      θ'' = -(g / L)(θ + a / g) - damping·θ'
+ *
+ * Pure bookkeeping for the renderer; it never feeds back into physics.
+ */
+function updateSway(state, i, dt, ax, az, relX, relZ) {
+  const { leanX, leanZ, leanVX, leanVZ, swingX, swingZ, swingVX, swingVZ } = state;
+  const sw = state.config.sway;
+  const pend = state.config.gondola.swing;
+
+  if (!sw.enabled) {
+    leanX[i] = leanZ[i] = leanVX[i] = leanVZ[i] = 0;
+    swingX[i] = swingZ[i] = swingVX[i] = swingVZ[i] = 0;
+    return;
+  }
+
+  let tx = ax * sw.accelLean + relX * sw.windLean;
+  let tz = az * sw.accelLean + relZ * sw.windLean;
+  const tSq = tx * tx + tz * tz;
+  if (tSq > sw.maxLean * sw.maxLean) {
+    const k = sw.maxLean / Math.sqrt(tSq);
+    tx *= k;
+    tz *= k;
+  }
+
+  leanVX[i] += (sw.stiffness * (tx - leanX[i]) - sw.damping * leanVX[i]) * dt;
+  leanVZ[i] += (sw.stiffness * (tz - leanZ[i]) - sw.damping * leanVZ[i]) * dt;
+  leanX[i] += leanVX[i] * dt;
+  leanZ[i] += leanVZ[i] * dt;
+
+  const g = Math.max(1e-3, pend.gravity);
+  const w2 = g / Math.max(1e-3, pend.length);
+  swingVX[i] += (-w2 * (swingX[i] + ax / g) - pend.damping * swingVX[i]) * dt;
+  swingVZ[i] += (-w2 * (swingZ[i] + az / g) - pend.damping * swingVZ[i]) * dt;
+  swingX[i] = clamp(swingX[i] + swingVX[i] * dt, -pend.maxAngle, pend.maxAngle);
+  swingZ[i] = clamp(swingZ[i] + swingVZ[i] * dt, -pend.maxAngle, pend.maxAngle);
+}
+
+/* -------------------------------------------------------------------------- */
+/* PHYSICS INTEGRATION                                                         */
+/* -------------------------------------------------------------------------- */
+/**
+ * updatePhysics integrates velocities and positions:
+ *  - lift increases with buoyancy (gamey) or comes from thermalStep (thermal)
+ *  - wind is sampled per balloon (see sampleWind)
+ *  - boids steering is added when flocking is enabled (see updateFlocking)
+ *  - formed and held balloons only follow their spring (see FORMATION, GRAB)
+ *  - drag stabilizes, relative to the local air when wind is enabled
+ *  - lean and gondola swing follow the resulting acceleration (see updateSway)
+ *  - overlapping balloons are separated (see resolveCollisions)
+ *  - static colliders push balloons out and around (see OBSTACLES)
+ *
+ * Edges:
+ *  - Leaving the simulation volume follows config.boundaries (see BOUNDARIES).
+ *  - With ground.enabled, sinking balloons land instead (see groundStep).
+ *  - Tethered balloons never respawn; their rope keeps them in view.
+ *  - Despawned balloons are skipped until refillDespawned brings them back.
+ *
+ * Obstacles, boundaries, landing pins and ropes run after collisions so
+ * separation can never push a balloon into a collider, out of the volume,
+ * into the ground or off its rope.
+ */
+const windSample = { x: 0, y: 0, z: 0 };
+
+export function updatePhysics(state, dt) {
+  const { config } = state;
+  const { posX, posY, posZ, velX, velY, velZ, rotY, angY, buoy } = state;
+  const { physics } = config;
+  const { landed, tethered, despawned, formed, held } = state;
+  const windOn = !!config.wind.enabled;
+  const obstaclesOn = !!config.obstacles.enabled && config.obstacles.list.length > 0;
+  const flocking = !!config.flocking.enabled;
+  const thermal = physics.model === "thermal";
+  const groundOn = !!config.ground.enabled;
+  const landY = restHeight(state);
+  const n = state.count;
+
+  refillDespawned(state, dt);
+
+  for (let i = 0; i < n; i++) {
+    if (despawned[i]) continue;
+
+    const vx0 = velX[i];
+    const vz0 = velZ[i];
+    let lift;
+    if (thermal) {
+      // Tethered display balloons have a ground crew: fuel and pilot light.
+      if (tethered[i]) {
+        state.fuel[i] = config.thermal.fuelCapacity;
+        if (buoy[i] < 0.15) state.burn[i] = Math.max(state.burn[i], 0.2);
+      }
+      lift = thermalStep(state, i, dt);
+    } else {
+      lift = physics.gravity + physics.liftStrength * buoy[i];
+      if (tethered[i]) lift += config.tethers.extraLift;
+    }
+
+    rotY[i] += landed[i] ? 0 : angY[i] * dt;
+
+    if (landed[i]) {
+      groundStep(state, i, dt, lift);
+      updateSway(state, i, dt, 0, 0, 0, 0);
+      continue;
+    }
+
+    if (held[i] || formed[i]) {
+      if (held[i]) steerToHold(state, i, dt);
+      else steerToFormation(state, i, dt);
+      updateSway(state, i, dt, (velX[i] - vx0) / dt, (velZ[i] - vz0) / dt, 0, 0);
+      posX[i] += velX[i] * dt;
+      posY[i] += velY[i] * dt;
+      posZ[i] += velZ[i] * dt;
+      continue;
+    }
+
+    velY[i] += lift * dt;
+
+    if (flocking) {
+      velX[i] += state.flockX[i] * dt;
+      velY[i] += state.flockY[i] * dt;
+      velZ[i] += state.flockZ[i] * dt;
+    }
+
+    if (windOn) {
+      sampleWind(state, posX[i], posY[i], posZ[i], windSample);
+    } else {
+      windSample.x = 0;
+      windSample.y = 0;
+      windSample.z = 0;
+    }
+
+    velX[i] = windSample.x + (velX[i] - windSample.x) * physics.horizontalDrag;
+    velY[i] = windSample.y + (velY[i] - windSample.y) * physics.verticalDrag;
+    velZ[i] = windSample.z + (velZ[i] - windSample.z) * physics.horizontalDrag;
+
+    velY[i] = clamp(velY[i], -physics.maxVerticalSpeed, physics.maxVerticalSpeed);
+
+    updateSway(
+      state, i, dt,
+      (velX[i] - vx0) / dt,
+      (velZ[i] - vz0) / dt,
+      windSample.x - velX[i],
+      windSample.z - velZ[i]
+    );
+
+    posX[i] += velX[i] * dt;
+    posY[i] += velY[i] * dt;
+    posZ[i] += velZ[i] * dt;
+
+    if (groundOn && posY[i] <= landY && velY[i] <= 0) touchDown(state, i);
+  }
+
+  resolveCollisions(state);
+
+  let dead = 0;
+  for (let i = 0; i < n; i++) {
+    if (obstaclesOn && !despawned[i] && !landed[i]) applyObstacles(state, i, dt);
+
+    if (despawned[i] || applyBoundaries(state, i, dt)) {
+      dead += despawned[i];
+      continue;
+    }
+
+    if (tethered[i]) applyTether(state, i);
+
+    if (landed[i]) posY[i] = landY;
+    else if (groundOn && posY[i] < landY) posY[i] = landY;
+  }
+  state.despawnedCount = dead;
+}
+
+/* -------------------------------------------------------------------------- */
+/* STEP                                                                        */
+/* -------------------------------------------------------------------------- */
+/**
+ * One fixed simulation step:
+ *  1) Apply influencer hover to buoyancy, then moving-orb pushes.
+ *  2) Advance wind (gust timers, turbulence clock).
+ *  3) Compute boids steering (when config.flocking.enabled).
+ *  4) Integrate physics.
+ *
+ * Same seed + same view + same per-step influencers = same balloon states.
+ * Callers with a variable clock should accumulate time and step by
+ * config.physics.fixedStep (the browser entry does this in animate()).
+ */
+export function stepSimulation(state, dt, influencers) {
+  applyInfluence(state, dt, influencers);
+  applyOrbPush(state, dt, influencers);
+  updateWind(state, dt);
+  updateFlocking(state, dt, influencers);
+  updatePhysics(state, dt);
+}
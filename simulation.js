@@ -1,16 +1,20 @@
 /**
  * simulation.js — Hot-Air Balloons (daytime/dawn)
  *
+ * Browser entry: wires the DOM-free core (simulation-core.js) to Three.js and
+ * MediaPipe. Balloon state and physics live in the core; this file renders it.
+ *
  * High-level flow:
  *  1) Build scene + materials (instanced envelope + gondola).
- *  2) Maintain per-instance state arrays (pos/vel/rotation/buoyancy).
- *  3) Gather interaction “influencers” (mouse raycast, wrists, fingertips, or full-body boxes).
- *  4) Convert influencers → buoyancy, then integrate physics and write instance matrices.
+ *  2) Create the core simulation state (per-instance arrays, bounds, wind).
+ *  3) Gather interaction “influencers” (pointer raycasts, wrists, fingertips, full-body boxes
+ *     or silhouette masks).
+ *  4) Step the core with those influencers, then write instance matrices.
  *
  * Notes for future work:
  *  - Instancing is the performance backbone: avoid per-balloon Mesh objects.
  *  - Screen-space hit testing is the default because it’s stable at distance.
- *  - “Orbs” are just visualized interaction points; fullBody has no orbs by design.
+ *  - “Orbs” are just visualized interaction points; fullBody/silhouette have no orbs by design.
  */
 
 import * as THREE from "https://unpkg.com/three@0.165.0/build/three.module.js";
@@ -19,312 +23,42 @@ import {
   HandLandmarker,
   FilesetResolver,
 } from "https://cdn.skypack.dev/@mediapipe/tasks-vision@0.10.0";
-
-/* -------------------------------------------------------------------------- */
-/* CONFIG                                                                     */
-/* -------------------------------------------------------------------------- */
-/**
- * CONFIG is intentionally centralized so this file can be tuned without hunting
- * constants. Anything expected to be tweaked at runtime is also exposed via
- * window.SIM (near the bottom).
- *
- * Beware: CONFIG.balloons.count is read once at init to allocate typed arrays,
- * create InstancedMesh, and seed instances. Changing it at runtime requires a
- * full re-init.
- */
-const CONFIG = {
-  balloons: {
-    count: 400,
-    scale: 1.25,
-    zBounds: { min: -18, max: 10 },
-
-    /**
-     * Offscreen margin multiplier used for spawn/reset bounds in X.
-     * Increasing this reduces “pop-in” at edges but keeps more balloons alive
-     * outside the visible frustum.
-     */
-    xMarginMultiplier: 1.28,
-
-    /**
-     * Spawn/off offsets are defined relative to the computed camera frustum.
-     * ySpawnOffset: how far above top-of-view to spawn.
-     * yOffOffset:   how far below bottom-of-view counts as “dead”.
-     */
-    ySpawnOffset: 8,
-    yOffOffset: 8,
-  },
-
-  envelope: {
-    radialSegments: 18,
-
-    /**
-     * Lathe profile points: [radius, y] pairs in normalized-ish coordinates.
-     * Think of this as a 2D silhouette spun around the Y axis.
-     */
-    profile: [
-      [0.07, -0.62],
-      [0.12, -0.52],
-      [0.33, -0.28],
-      [0.48, 0.0],
-      [0.44, 0.26],
-      [0.30, 0.50],
-      [0.03, 0.62],
-    ],
-  },
-
-  gondola: {
-    /**
-     * Gondola dimensions are derived from the envelope’s bounding box, then
-     * scaled by these ratios. This keeps the basket proportional if the envelope
-     * profile changes.
-     */
-    widthRatio: 0.20,
-    depthRatio: 0.20,
-    heightRatio: 0.12,
-
-    // Simple “wicker” look; tune roughness/metalness for different materials.
-    color: 0x8b6b46,
-    metalness: 0.0,
-    roughness: 1.0,
-  },
-
-  camera3d: {
-    fov: 55,
-    near: 0.1,
-    far: 260,
-    position: { x: 0, y: 6, z: 40 },
-    lookAt: { x: 0, y: 6, z: 0 },
-  },
-
-  cameraOverlay: {
-    /**
-     * This is a DOM overlay placed ABOVE the camera video but BELOW the WebGL
-     * canvas. It allows “grading” the background camera feed with either a
-     * gradient or an image and a blend mode.
-     *
-     * If you later want to grade the 3D scene too, do it via postprocessing
-     * (EffectComposer) rather than this overlay.
-     */
-    enabled: true,
-    mode: "gradient", // "gradient" | "image"
-    imageUrl: "", // used when mode === "image"
-    opacity: 0.55,
-    blendMode: "overlay", // "overlay" | "soft-light" | "screen" | "normal" etc.
-    filter: "saturate(1.15) contrast(1.05)",
-    gradientCss:
-      "linear-gradient(0deg, rgba(255,120,180,0.85) 0%, rgba(155,90,210,0.75) 18%, rgba(40,60,140,0.70) 35%, rgba(70,110,230,0.65) 50%, rgba(70,110,230,0.65) 100%)",
-  },
-
-  lighting: {
-    /**
-     * Lighting is kept simple (ambient + directional) and most of the “dawn”
-     * look comes from:
-     *  - the environment PMREM texture (procedural sky gradient)
-     *  - material clearcoat/roughness
-     *  - the balloon pattern shader tweaks
-     */
-    ambient: { color: 0xffffff, intensity: 0.55 },
-    directional: {
-      color: 0xfff0e0,
-      intensity: 1.15,
-      position: { x: 10, y: 18, z: 10 },
-    },
-  },
-
-  physics: {
-    /**
-     * This is intentionally “gamey” physics: stable, readable motion > realism.
-     * All values assume dt is in seconds and are tuned for ~60fps.
-     */
-    gravity: -0.16,
-    liftStrength: 1.35,
-
-    /**
-     * buoyancyRiseRate drives how quickly a balloon “lights” when hovered.
-     * decayRate/variance make balloons fade at slightly different speeds.
-     */
-    buoyancyRiseRate: 520,
-    buoyancyDecayRate: 0.65,
-    buoyancyDecayVariance: { min: 0.65, max: 1.55 },
-
-    // Drag keeps the swarm from accelerating indefinitely.
-    horizontalDrag: 0.957,
-    verticalDrag: 0.994,
-
-    // Prevents runaway vertical spikes when buoyancy rises quickly.
-    maxVerticalSpeed: 5.6,
-  },
-
-  wobble: {
-    /**
-     * Per-balloon wind wobble is generated by sin/cos with randomized amp/speed.
-     * It gives the swarm depth without needing actual wind simulation.
-     */
-    ampX: { min: 0.18, max: 0.55 },
-    ampZ: { min: 0.16, max: 0.50 },
-    speedX: { min: 0.25, max: 0.85 },
-    speedZ: { min: 0.25, max: 0.85 },
-  },
-
-  spawn: {
-    /**
-     * Initial velocity is biased to slow downward drift so balloons “enter”
-     * rather than immediately rocket upwards.
-     */
-    initialVelocity: {
-      x: { spread: 0.75 },
-      y: { min: -0.48, max: -0.06 },
-      z: { spread: 0.75 },
-    },
-
-    // Initial buoyancy adds subtle variance so not all balloons look “off”.
-    initialBuoyancy: { maxFactor: 0.10 },
-  },
-
-  randomLight: {
-    /**
-     * Idle twinkles: when balloons are not hovered and below a threshold height,
-     * they can randomly “ignite” to keep the scene lively.
-     *
-     * rate is probability per second (scaled by dt).
-     * thresholdY is a fraction of the visible height.
-     */
-    rate: 0.0015,
-    thresholdY: 0.90,
-  },
-
-  appearance: {
-    /**
-     * Balloon shading is customized via onBeforeCompile. These values map to
-     * shader uniforms (uBrightColor/uFlameColor/etc.) so you can tune look
-     * without editing shader code.
-     */
-    brightColor: 0xffddb0,
-    flameColor: 0xff7a18,
-    flameMix: 0.70,
-
-    // Emissive is intentionally disabled in shader (see onBeforeCompile).
-    baseEmissive: 0.02,
-    boostEmissive: 3.0,
-
-    // “Lit” behavior (hovered) biases towards brightColor + warmth.
-    litBrightnessBoost: 0.22,
-    litColorMix: 0.14,
-
-    // Nudges patterns towards paper-white for a more balloon-like finish.
-    paperWhiteMix: 0.0001,
-
-    opacity: 1.0,
-
-    // Physical material surface characteristics (affects env reflections).
-    roughness: 0.48,
-    clearcoat: 0.45,
-    clearcoatRoughness: 0.48,
-  },
-
-  patterns: {
-    /**
-     * density: how many pattern repeats/panels.
-     * paletteStrength: reserved for future use if you want to modulate contrast.
-     */
-    density: 1.05,
-    paletteStrength: 1.05,
-  },
-
-  interaction: {
-    /**
-     * Interaction modes:
-     *  - fingers: uses HandLandmarker fingertip points as hover influencers
-     *  - wrists:  uses PoseLandmarker wrists as hover influencers
-     *  - fullBody: uses pose bounding boxes in screen space; no orbs drawn
-     */
-    mouseEnabled: true,
-    poseEnabled: true,
-    mirror: false,
-
-    trackMode: "fingers", // "fingers" | "wrists" | "fullBody"
-    orbsVisible: true,
-
-    // Upper bounds for Mediapipe; also used to size orb buffers.
-    maxPeople: 4,
-    maxHands: 4,
-
-    /**
-     * Hover testing approaches:
-     *  - screen-space (default): compare NDC distance between balloon and orbs
-     *  - world-space (legacy): compare 3D distance; less reliable at distance
-     */
-    hoverRadiusWorld: 5.8,
-    useScreenSpaceHit: true,
-    screenRadiusNDC: 0.065,
-    screenRadiusMin: 0.03,
-    screenRadiusMax: 0.10,
-
-    // Orb visuals (purely cosmetic).
-    orbColor: 0xff7a18,
-    orbSize: 1.65,
-    orbSizeLitBoost: 0.65,
-    orbOpacity: 0.95,
-
-    /**
-     * orbSmoothing is a per-frame lerp strength (converted to an effective alpha
-     * in the main loop). Higher = snappier, lower = floatier.
-     */
-    orbSmoothing: 0.14,
-
-    /**
-     * Orbs are “ephemeral”: points update when tracking provides new landmarks.
-     * orbMaxTTL defines how long a point remains active if tracking stalls.
-     */
-    orbMaxTTL: 0.12,
-  },
-
-  render: {
-    /**
-     * Caps renderer pixel ratio for performance on high-DPI devices.
-     */
-    pixelRatioCap: 2,
-  },
-
-  pose: {
-    /**
-     * Mediapipe Pose indices. These match the pose landmark model definition.
-     */
-    leftWristIndex: 15,
-    rightWristIndex: 16,
-
-    wasmRoot: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm",
-    modelAssetPath:
-      "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
-    delegate: "GPU",
-    minPoseDetectionConfidence: 0.5,
-    minPosePresenceConfidence: 0.5,
-    minTrackingConfidence: 0.5,
-  },
-
-  hands: {
-    wasmRoot: "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.0/wasm",
-    modelAssetPath:
-      "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-    delegate: "GPU",
-    minHandDetectionConfidence: 0.5,
-    minHandPresenceConfidence: 0.5,
-    minTrackingConfidence: 0.5,
-  },
-};
+import { CONFIG } from "./config.js";
+import {
+  createSimulationState,
+  updateVisibleBounds,
+  resetSimulation,
+  setBalloonCount as setCoreBalloonCount,
+  stepSimulation,
+  sampleWind,
+  startGust,
+  groundHeight,
+  setupTethers,
+  BOUNDARY_MODES,
+  setFormation,
+  releaseFormation,
+  formationScale,
+  OBSTACLE_TYPES,
+  pickBalloon,
+  grabBalloon,
+  setHoldTarget,
+  releaseBalloon,
+} from "./simulation-core.js";
 
 /* -------------------------------------------------------------------------- */
 /* DOM LAYERS                                                                  */
 /* -------------------------------------------------------------------------- */
 /**
  * Layering model (bottom -> top):
- *  1) <video id="cameraBg"> (fullscreen camera feed)
+ *  1) <video id="cameraBg"> (fullscreen camera feed or video; see VIDEO SOURCE)
  *  2) #stage (container above video; pointerEvents:none)
  *     2a) $cameraOverlay (gradient/image grade)
- *  3) WebGL canvas (renderer.domElement) appended to <body> with high z-index
+ *  3) WebGL canvas (renderer.domElement) appended to <body> with high z-index;
+ *     the only layer that receives pointer input
+ *  4) #enableCameraBtn and the camera picker (see CAMERA DEVICES), lifted
+ *     above the canvas so they stay clickable
  *
- * Keep pointerEvents disabled on overlays/canvas so the Enable button works and
- * the page remains interactive if needed elsewhere.
+ * Keep pointerEvents disabled on the stage/overlays; the canvas handles input.
  */
 const $video = document.getElementById("cameraBg");
 const $stage = document.getElementById("stage");
@@ -348,6 +82,8 @@ $stage.style.overflow = "hidden";
 $stage.style.zIndex = "1";
 $stage.style.pointerEvents = "none";
 
+$btn.style.zIndex = "10000";
+
 /* -------------------------------------------------------------------------- */
 /* CAMERA OVERLAY (DOM)                                                        */
 /* -------------------------------------------------------------------------- */
@@ -418,7 +154,11 @@ renderer.domElement.style.width = "100vw";
 renderer.domElement.style.height = "100vh";
 renderer.domElement.style.zIndex = "9999";
 renderer.domElement.style.display = "block";
-renderer.domElement.style.pointerEvents = "none";
+
+// The canvas takes mouse/touch/pen input (see POINTER INPUT); touch-action
+// stops the browser from turning touches into scroll/zoom (pointercancel).
+renderer.domElement.style.pointerEvents = "auto";
+renderer.domElement.style.touchAction = "none";
 
 document.body.appendChild(renderer.domElement);
 
@@ -430,7 +170,7 @@ document.body.appendChild(renderer.domElement);
  * the camera frustum at the current distance to that center.
  *
  * If you later add camera motion (parallax, orbit, etc.), you MUST call
- * updateVisibleBounds() whenever camera or viewCenter changes.
+ * syncSimulationView() whenever camera or viewCenter changes.
  */
 const camera = new THREE.PerspectiveCamera(
   CONFIG.camera3d.fov,
@@ -496,95 +236,43 @@ camera.lookAt(viewCenter);
 }
 
 /* -------------------------------------------------------------------------- */
-/* VIEW BOUNDS                                                                 */
-/* -------------------------------------------------------------------------- */
-/**
- * bounds defines the “simulation volume”:
- *  - yMin/yMax: current visible vertical range
- *  - ySpawnTop: where new balloons spawn
- *  - yOffBottom: below this we respawn a balloon
- *  - xVisible/xOff: visible vs offscreen margins for respawn
- *  - zMin/zMax: depth lane bounds
- */
-const bounds = {
-  yMin: -2,
-  yMax: 14,
-  ySpawnTop: 18,
-  yOffBottom: -6,
-  xVisible: 10,
-  xOff: 14,
-  zMin: CONFIG.balloons.zBounds.min,
-  zMax: CONFIG.balloons.zBounds.max,
-};
-
-function updateVisibleBounds() {
-  const w = window.innerWidth;
-  const h = window.innerHeight;
-  const aspect = w / h || 1;
-
-  // Distance from camera to the plane around viewCenter where we “stage” orbs.
-  const dist = camera.position.distanceTo(viewCenter);
-
-  // Visible half-height at that distance.
-  const vHalf = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * dist;
-
-  bounds.yMin = viewCenter.y - vHalf;
-  bounds.yMax = viewCenter.y + vHalf;
-  bounds.ySpawnTop = bounds.yMax + CONFIG.balloons.ySpawnOffset;
-  bounds.yOffBottom = bounds.yMin - CONFIG.balloons.yOffOffset;
-
-  const hHalf = vHalf * aspect;
-  bounds.xVisible = hHalf;
-  bounds.xOff = hHalf * CONFIG.balloons.xMarginMultiplier;
-
-  bounds.zMin = CONFIG.balloons.zBounds.min;
-  bounds.zMax = CONFIG.balloons.zBounds.max;
-}
-updateVisibleBounds();
-
-/* -------------------------------------------------------------------------- */
-/* INSTANCED STATE BUFFERS                                                     */
+/* SIMULATION STATE (CORE)                                                     */
 /* -------------------------------------------------------------------------- */
 /**
- * Per-instance state is stored in typed arrays for speed and to minimize GC:
- *  - pos/vel/rot/ang: simulation state
- *  - buoy/decay: buoyancy “light” state
- *  - wobble params: per-balloon wind noise
+ * The core owns per-instance typed arrays (sim.posX, sim.velY, sim.iBuoy, …),
+ * the simulation volume (sim.bounds) and the seeded PRNG. This file only reads
+ * those arrays to write instance matrices/attributes.
  *
- * Separate GPU instance attributes are used to drive shader variation:
- *  - iBuoyancy: hover intensity (0..1)
- *  - iBaseTint: base color tint
- *  - iPatternType: selects pattern generator branch
- *  - iSeed: random seed for palette/pattern variance
+ * The core never sees the camera: simulationView() describes it as plain data
+ * (position, look-at, fov, aspect, view-projection). If you later add camera
+ * motion (parallax, orbit, etc.), you MUST call syncSimulationView() whenever
+ * camera or viewCenter changes.
+ *
+ * sim arrays may be swapped when the balloon count grows, so always read them
+ * through `sim.` rather than caching references.
  */
-const N = CONFIG.balloons.count;
-
-const posX = new Float32Array(N);
-const posY = new Float32Array(N);
-const posZ = new Float32Array(N);
-
-const velX = new Float32Array(N);
-const velY = new Float32Array(N);
-const velZ = new Float32Array(N);
-
-const rotY = new Float32Array(N);
-const angY = new Float32Array(N);
+const tmpViewProj = new THREE.Matrix4();
+
+function simulationView() {
+  camera.updateMatrixWorld();
+  tmpViewProj.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+  return {
+    cameraPosition: camera.position,
+    viewCenter,
+    fov: camera.fov,
+    aspect: camera.aspect,
+    viewProjection: tmpViewProj.elements,
+  };
+}
 
-const buoy = new Float32Array(N);
-const decay = new Float32Array(N);
+function syncSimulationView() {
+  updateVisibleBounds(sim, simulationView());
+}
 
-const wAmpX = new Float32Array(N);
-const wAmpZ = new Float32Array(N);
-const wSpdX = new Float32Array(N);
-const wSpdZ = new Float32Array(N);
-const wPhX = new Float32Array(N);
-const wPhZ = new Float32Array(N);
+const sim = createSimulationState(CONFIG, { view: simulationView() });
 
-// GPU instanced attrs
-const iBuoy = new Float32Array(N);
-const iBase = new Float32Array(N * 3);
-const iPatternType = new Float32Array(N);
-const iSeed = new Float32Array(N);
+// bounds is a stable object owned by the core; aliased for overlays.
+const bounds = sim.bounds;
 
 /* -------------------------------------------------------------------------- */
 /* REUSABLE TEMP OBJECTS                                                       */
@@ -601,73 +289,18 @@ const tmpScale = new THREE.Vector3(CONFIG.balloons.scale, CONFIG.balloons.scale,
 const tmpScaleG = new THREE.Vector3(1, 1, 1);
 const yAxis = new THREE.Vector3(0, 1, 0);
 
-/* -------------------------------------------------------------------------- */
-/* COLOR + PATTERN SEEDING                                                     */
-/* -------------------------------------------------------------------------- */
-/**
- * Palette is intentionally “realistic balloon paint” (high saturation + neutrals).
- * randomVibrantTint writes linearized RGB into iBaseTint.
- */
-const REAL_BALLOON_PALETTE = [
-  0xd72638, 0xff6f00, 0xf9c80e, 0x2e7d32, 0x1565c0, 0x283593, 0x6a1b9a,
-  0x00838f, 0x6d4c41, 0x263238, 0xffffff, 0xe0e0e0, 0x111111,
-];
-
-function randomVibrantTint(out, i3) {
-  const hex = REAL_BALLOON_PALETTE[(Math.random() * REAL_BALLOON_PALETTE.length) | 0];
-  const c = new THREE.Color(hex);
-  out[i3 + 0] = c.r;
-  out[i3 + 1] = c.g;
-  out[i3 + 2] = c.b;
-}
-
-/**
- * resetInstance seeds a balloon at a random position and gives it:
- *  - initial drift velocity
- *  - random wobble parameters
- *  - a decay rate for buoyancy fade
- *  - a base tint + a pattern type + a seed
- *
- * isInitial influences spawn Y range so the scene starts filled (not empty).
- */
-function resetInstance(i, isInitial) {
-  const spawnYMin = isInitial ? bounds.yOffBottom : bounds.yMax + 2;
-  const spawnYMax = bounds.ySpawnTop;
-
-  posX[i] = THREE.MathUtils.randFloatSpread(bounds.xVisible * 2.0);
-  posY[i] = THREE.MathUtils.randFloat(spawnYMin, spawnYMax);
-  posZ[i] = THREE.MathUtils.randFloat(bounds.zMin, bounds.zMax);
-
-  velX[i] = THREE.MathUtils.randFloatSpread(CONFIG.spawn.initialVelocity.x.spread);
-  velY[i] = THREE.MathUtils.randFloat(CONFIG.spawn.initialVelocity.y.min, CONFIG.spawn.initialVelocity.y.max);
-  velZ[i] = THREE.MathUtils.randFloatSpread(CONFIG.spawn.initialVelocity.z.spread);
-
-  buoy[i] = Math.random() * Math.random() * CONFIG.spawn.initialBuoyancy.maxFactor;
-  iBuoy[i] = buoy[i];
-
-  rotY[i] = Math.random() * Math.PI * 2;
-  angY[i] = THREE.MathUtils.randFloatSpread(0.45);
-
-  decay[i] =
-    CONFIG.physics.buoyancyDecayRate *
-    THREE.MathUtils.randFloat(CONFIG.physics.buoyancyDecayVariance.min, CONFIG.physics.buoyancyDecayVariance.max);
-
-  wAmpX[i] = THREE.MathUtils.randFloat(CONFIG.wobble.ampX.min, CONFIG.wobble.ampX.max);
-  wAmpZ[i] = THREE.MathUtils.randFloat(CONFIG.wobble.ampZ.min, CONFIG.wobble.ampZ.max);
-  wSpdX[i] = THREE.MathUtils.randFloat(CONFIG.wobble.speedX.min, CONFIG.wobble.speedX.max);
-  wSpdZ[i] = THREE.MathUtils.randFloat(CONFIG.wobble.speedZ.min, CONFIG.wobble.speedZ.max);
-  wPhX[i] = Math.random() * Math.PI * 2;
-  wPhZ[i] = Math.random() * Math.PI * 2;
+// Landing pose scratch (tip-over + deflate), see writeLandedEnvelope.
+const tmpTiltQuat = new THREE.Quaternion();
+const tmpTiltMat = new THREE.Matrix4();
+const tmpDeflateMat = new THREE.Matrix4();
+const tmpAxis = new THREE.Vector3();
+const tmpPivot = new THREE.Vector3();
+const zeroVec = new THREE.Vector3();
 
-  const i3 = i * 3;
-  randomVibrantTint(iBase, i3);
-
-  // 0/1/2 select different pattern generation branches in the shader.
-  const r = Math.random();
-  iPatternType[i] = r < 0.72 ? 0 : r < 0.92 ? 1 : 2;
-
-  iSeed[i] = Math.random() * 1000.0;
-}
+// Lean + gondola pendulum scratch, see writeMatrices.
+const tmpYawQuat = new THREE.Quaternion();
+const tmpSwingQuat = new THREE.Quaternion();
+const tmpHang = new THREE.Vector3();
 
 /* -------------------------------------------------------------------------- */
 /* GEOMETRY: ENVELOPE (LATHE)                                                  */
@@ -951,95 +584,295 @@ totalEmissiveRadiance = vec3(0.0) * (uBaseEm + uBoostEm * clamp(vBuoy, 0.0, 1.0)
  *  - gondolas: box geometry + standard material
  *
  * Each frame we update instance matrices for both meshes.
+ *
+ * Meshes are allocated at sim.capacity and draw only the first sim.count
+ * instances (InstancedMesh.count). buildInstancedMeshes() is re-run when the
+ * core reports that capacity grew.
  */
-const balloons = new THREE.InstancedMesh(baseGeo, balloonMat, N);
-balloons.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-scene.add(balloons);
-
-const gondolas = new THREE.InstancedMesh(gondolaGeo, gondolaMat, N);
-gondolas.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-scene.add(gondolas);
+let balloons = null;
+let gondolas = null;
 
 /**
  * Instanced attributes are attached to balloons.geometry and used in the shader.
  * If you add attributes, remember:
- *  - allocate typed array
- *  - create InstancedBufferAttribute
+ *  - add the typed array to INSTANCE_ARRAYS in simulation-core.js
+ *  - create InstancedBufferAttribute in buildInstancedMeshes
  *  - setAttribute()
  *  - mark needsUpdate where appropriate
  */
-const instBuoyAttr = new THREE.InstancedBufferAttribute(iBuoy, 1);
-const instBaseAttr = new THREE.InstancedBufferAttribute(iBase, 3);
-const instPatAttr = new THREE.InstancedBufferAttribute(iPatternType, 1);
-const instSeedAttr = new THREE.InstancedBufferAttribute(iSeed, 1);
+let instBuoyAttr = null;
+let instBaseAttr = null;
+let instPatAttr = null;
+let instSeedAttr = null;
+
+function buildInstancedMeshes() {
+  if (balloons) {
+    scene.remove(balloons);
+    scene.remove(gondolas);
+    balloons.dispose();
+    gondolas.dispose();
+
+    // Drops GPU buffers of the old instanced attributes (shared baseGeo).
+    baseGeo.dispose();
+  }
 
-balloons.geometry.setAttribute("iBuoyancy", instBuoyAttr);
-balloons.geometry.setAttribute("iBaseTint", instBaseAttr);
-balloons.geometry.setAttribute("iPatternType", instPatAttr);
-balloons.geometry.setAttribute("iSeed", instSeedAttr);
+  balloons = new THREE.InstancedMesh(baseGeo, balloonMat, sim.capacity);
+  balloons.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  balloons.count = sim.count;
+  scene.add(balloons);
+
+  gondolas = new THREE.InstancedMesh(gondolaGeo, gondolaMat, sim.capacity);
+  gondolas.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  gondolas.count = sim.count;
+  scene.add(gondolas);
+
+  instBuoyAttr = new THREE.InstancedBufferAttribute(sim.iBuoy, 1);
+  instBaseAttr = new THREE.InstancedBufferAttribute(sim.iBase, 3);
+  instPatAttr = new THREE.InstancedBufferAttribute(sim.iPatternType, 1);
+  instSeedAttr = new THREE.InstancedBufferAttribute(sim.iSeed, 1);
+
+  balloons.geometry.setAttribute("iBuoyancy", instBuoyAttr);
+  balloons.geometry.setAttribute("iBaseTint", instBaseAttr);
+  balloons.geometry.setAttribute("iPatternType", instPatAttr);
+  balloons.geometry.setAttribute("iSeed", instSeedAttr);
+}
+buildInstancedMeshes();
 
 /**
  * writeMatrices composes transform matrices for envelope + gondola for instance i.
  * This is the hot path for “render update”; keep it allocation-free.
+ *
+ * Attitude comes from the core (see SWAY + GONDOLA PENDULUM there):
+ *  - envelope: yaw (rotY), then leaned by (leanX, leanZ) about its origin
+ *  - gondola: hangs from the leaned envelope mouth, rotated by its own
+ *    pendulum angles (swingX, swingZ) so it swings independently
  */
 function writeMatrices(i) {
+  const { posX, posY, posZ, rotY } = sim;
+  const s = CONFIG.balloons.scale;
+
+  // Despawned (see CONFIG.boundaries) → collapse both instances.
+  if (sim.despawned[i]) {
+    tmpMat.makeScale(0, 0, 0);
+    balloons.setMatrixAt(i, tmpMat);
+    gondolas.setMatrixAt(i, tmpMat);
+    return;
+  }
+
   tmpPos.set(posX[i], posY[i], posZ[i]);
-  tmpQuat.setFromAxisAngle(yAxis, rotY[i]);
-  tmpMat.compose(tmpPos, tmpQuat, tmpScale);
+  tmpYawQuat.setFromAxisAngle(yAxis, rotY[i]);
+
+  if (sim.tilt[i] > 0 || sim.deflate[i] > 0) {
+    tmpQuat.copy(tmpYawQuat);
+    writeLandedEnvelope(i);
+  } else {
+    leanQuaternion(sim.leanX[i], sim.leanZ[i], tmpQuat).multiply(tmpYawQuat);
+    tmpMat.compose(tmpPos, tmpQuat, tmpScale);
+  }
   balloons.setMatrixAt(i, tmpMat);
 
-  const yOff = gondolaLocalYOffset * CONFIG.balloons.scale;
-  tmpPos.set(posX[i], posY[i] + yOff, posZ[i]);
+  // Pivot at the envelope mouth; the basket hangs ropeLength below it.
+  tmpHang.set(0, minY * s, 0).applyQuaternion(tmpQuat).add(tmpPos);
+  leanQuaternion(-sim.swingX[i], -sim.swingZ[i], tmpSwingQuat);
+  tmpPos.set(0, (gondolaLocalYOffset - minY) * s, 0).applyQuaternion(tmpSwingQuat).add(tmpHang);
+  tmpSwingQuat.multiply(tmpYawQuat);
 
-  const gS = CONFIG.balloons.scale * 0.95;
+  const gS = s * 0.95;
   tmpScaleG.set(gS, gS, gS);
 
-  tmpMatG.compose(tmpPos, tmpQuat, tmpScaleG);
+  tmpMatG.compose(tmpPos, tmpSwingQuat, tmpScaleG);
   gondolas.setMatrixAt(i, tmpMatG);
 }
 
-// Initial fill
-for (let i = 0; i < N; i++) {
-  resetInstance(i, true);
-  writeMatrices(i);
+/**
+ * Rotation that tips +Y toward the horizontal direction (x, z) by
+ * |(x, z)| radians. Writes into and returns `out`.
+ */
+function leanQuaternion(x, z, out) {
+  const a = Math.sqrt(x * x + z * z);
+  if (a < 1e-6) return out.identity();
+  tmpAxis.set(z / a, 0, -x / a);
+  return out.setFromAxisAngle(tmpAxis, a);
+}
+
+/**
+ * Landed envelopes tip over around their mouth (the basket stays upright) and
+ * flatten while deflating:
+ *   M = T(pivot - R·pivotOffset) · R_tilt · S_deflate · R_yaw · S
+ * tipDir is the horizontal direction the envelope falls toward; S_deflate
+ * squashes along it (which ends up vertical once tipped) and spreads sideways.
+ * Writes into tmpMat; expects tmpPos/tmpQuat from writeMatrices.
+ */
+function writeLandedEnvelope(i) {
+  const s = CONFIG.balloons.scale;
+  const d = sim.deflate[i];
+  const dx = Math.cos(sim.tipDir[i]);
+  const dz = Math.sin(sim.tipDir[i]);
+
+  // Tip axis = Y × D, so rotating by +tilt leans the top toward D.
+  tmpAxis.set(dz, 0, -dx);
+  tmpTiltQuat.setFromAxisAngle(tmpAxis, sim.tilt[i]);
+  tmpTiltMat.makeRotationFromQuaternion(tmpTiltQuat);
+
+  // S = I + sD·DDᵀ + sA·AAᵀ, with Y scaled by kY (D squashed, A spread).
+  const sD = -0.85 * d;
+  const sA = 0.25 * d;
+  const kY = 1 - 0.15 * d;
+  const xz = (sD - sA) * dx * dz;
+  tmpDeflateMat.set(
+    1 + sD * dx * dx + sA * dz * dz, 0, xz, 0,
+    0, kY, 0, 0,
+    xz, 0, 1 + sD * dz * dz + sA * dx * dx, 0,
+    0, 0, 0, 1
+  );
+
+  tmpMat.compose(zeroVec, tmpQuat, tmpScale);
+  tmpMat.premultiply(tmpDeflateMat);
+  tmpMat.premultiply(tmpTiltMat);
+
+  // Rotate about the envelope mouth instead of its center.
+  tmpPivot.set(0, minY * s, 0);
+  const px = tmpPivot.y;
+  tmpPivot.applyQuaternion(tmpTiltQuat);
+  tmpMat.setPosition(tmpPos.x - tmpPivot.x, tmpPos.y + px - tmpPivot.y, tmpPos.z - tmpPivot.z);
+}
+
+function markInstanceAttributesDirty() {
+  instBuoyAttr.needsUpdate = true;
+  instBaseAttr.needsUpdate = true;
+  instPatAttr.needsUpdate = true;
+  instSeedAttr.needsUpdate = true;
+}
+
+function syncInstanceMatrices() {
+  for (let i = 0; i < sim.count; i++) writeMatrices(i);
+  balloons.instanceMatrix.needsUpdate = true;
+  gondolas.instanceMatrix.needsUpdate = true;
 }
-balloons.instanceMatrix.needsUpdate = true;
-gondolas.instanceMatrix.needsUpdate = true;
 
-instBuoyAttr.needsUpdate = true;
-instBaseAttr.needsUpdate = true;
-instPatAttr.needsUpdate = true;
-instSeedAttr.needsUpdate = true;
+// Initial fill (the core already seeded every instance).
+syncInstanceMatrices();
+markInstanceAttributesDirty();
+
+/* -------------------------------------------------------------------------- */
+/* GROUND + TETHERS (RENDER)                                                    */
+/* -------------------------------------------------------------------------- */
+/**
+ * Visuals for the core's ground/tether state (see GROUND + TETHERS in
+ * simulation-core.js):
+ *  - groundMesh: a large translucent plane at groundHeight(sim)
+ *  - tetherLines: one segment per tethered balloon, anchor → basket bottom
+ *
+ * Tether buffers are sized for CONFIG.tethers.maxCount at init.
+ */
+const groundMesh = new THREE.Mesh(
+  new THREE.PlaneGeometry(1, 1),
+  new THREE.MeshStandardMaterial({
+    color: CONFIG.ground.color,
+    roughness: 1.0,
+    metalness: 0.0,
+    transparent: true,
+    opacity: CONFIG.ground.opacity,
+    depthWrite: false,
+  })
+);
+groundMesh.rotation.x = -Math.PI / 2;
+groundMesh.visible = false;
+scene.add(groundMesh);
+
+const TETHER_MAX = CONFIG.tethers.maxCount;
+const tetherPos = new Float32Array(TETHER_MAX * 2 * 3);
+const tetherGeo = new THREE.BufferGeometry();
+tetherGeo.setAttribute("position", new THREE.BufferAttribute(tetherPos, 3).setUsage(THREE.DynamicDrawUsage));
+
+const tetherLines = new THREE.LineSegments(
+  tetherGeo,
+  new THREE.LineBasicMaterial({
+    color: CONFIG.tethers.lineColor,
+    transparent: true,
+    opacity: CONFIG.tethers.lineOpacity,
+  })
+);
+tetherLines.frustumCulled = false;
+scene.add(tetherLines);
+
+function updateGroundVisuals() {
+  const gy = groundHeight(sim);
+
+  groundMesh.visible = !!(CONFIG.ground.enabled && CONFIG.ground.visible);
+  if (groundMesh.visible) {
+    groundMesh.position.set(0, gy, (bounds.zMin + bounds.zMax) * 0.5);
+    groundMesh.scale.set(bounds.xOff * 4, bounds.zMax - bounds.zMin + 40, 1);
+  }
+
+  const clear = CONFIG.ground.clearance * CONFIG.balloons.scale;
+  const n = Math.min(sim.count, TETHER_MAX);
+  let seg = 0;
+
+  for (let i = 0; i < n; i++) {
+    if (!sim.tethered[i]) continue;
+    const o = seg * 6;
+    tetherPos[o + 0] = sim.anchorX[i];
+    tetherPos[o + 1] = gy;
+    tetherPos[o + 2] = sim.anchorZ[i];
+    tetherPos[o + 3] = sim.posX[i];
+    tetherPos[o + 4] = sim.posY[i] - clear;
+    tetherPos[o + 5] = sim.posZ[i];
+    seg++;
+  }
+
+  tetherGeo.setDrawRange(0, seg * 2);
+  tetherGeo.attributes.position.needsUpdate = seg > 0;
+  tetherLines.visible = seg > 0;
+}
 
 /* -------------------------------------------------------------------------- */
 /* INTERACTION MODEL (ORBS)                                                    */
 /* -------------------------------------------------------------------------- */
 /**
  * Orbs are “influence points” used to determine whether a balloon is hovered.
- * They are sourced from:
- *  - mouse intersection (slot 0)
- *  - pose wrists (slots 1..)
- *  - hand fingertips (slots after wrists)
+ * They are written by influencer providers (see INFLUENCER PROVIDERS), one
+ * slot range each:
+ *  - pointers: mouse, touches, pens (POINTER_SLOTS_*, one per pointerId)
+ *  - pose wrists (WRIST_SLOTS_*)
+ *  - hand fingertips (FINGER_SLOTS_*)
+ *  - providers registered at runtime share the PROVIDER_SLOTS_* pool
  *
  * Orb state uses:
  *  - orbTargets: new measurements
- *  - orbPositions: smoothed positions used for influence + sprite visuals
+ *  - orbPositions: filtered positions used for influence + sprite visuals
+ *    (see ORB FILTERS)
+ *  - orbVelocities: per-step delta of orbPositions (world units/s), zero on
+ *    the first step an orb is live so re-acquired points don't "teleport-push"
  *  - orbTTL: time-to-live to discard stale tracking points
  */
 const FINGERTIPS_PER_HAND = 5;
 const MAX_ORBS =
-  1 + // mouse
+  CONFIG.interaction.maxPointers + // mouse / touch / pen
   (CONFIG.interaction.maxPeople * 2) + // wrists
-  (CONFIG.interaction.maxHands * FINGERTIPS_PER_HAND); // fingertips
+  (CONFIG.interaction.maxHands * FINGERTIPS_PER_HAND) + // fingertips
+  CONFIG.interaction.maxProviderOrbs; // SIM.registerInfluencer providers
 
 const orbPositions = Array.from({ length: MAX_ORBS }, () => new THREE.Vector3());
 const orbTargets = Array.from({ length: MAX_ORBS }, () => new THREE.Vector3());
+const orbVelocities = Array.from({ length: MAX_ORBS }, () => new THREE.Vector3());
+const orbPrev = Array.from({ length: MAX_ORBS }, () => new THREE.Vector3());
+const orbWasLive = new Uint8Array(MAX_ORBS);
 const orbBuoy = new Float32Array(MAX_ORBS);
 const orbTTL = new Float32Array(MAX_ORBS);
-
-const WRIST_SLOTS_START = 1;
+const orbFresh = new Uint8Array(MAX_ORBS); // new measurement since last step
+const orbDepthAware = new Uint8Array(MAX_ORBS); // placed at a tracked depth
+const orbRadiusNDC = new Float32Array(MAX_ORBS); // 0 = CONFIG default
+const orbRadiusWorld = new Float32Array(MAX_ORBS); // 0 = CONFIG default
+
+const POINTER_SLOTS_START = 0;
+const POINTER_SLOTS_COUNT = CONFIG.interaction.maxPointers;
+const WRIST_SLOTS_START = POINTER_SLOTS_START + POINTER_SLOTS_COUNT;
 const WRIST_SLOTS_COUNT = CONFIG.interaction.maxPeople * 2;
 const FINGER_SLOTS_START = WRIST_SLOTS_START + WRIST_SLOTS_COUNT;
+const FINGER_SLOTS_COUNT = CONFIG.interaction.maxHands * FINGERTIPS_PER_HAND;
+const PROVIDER_SLOTS_START = FINGER_SLOTS_START + FINGER_SLOTS_COUNT;
+const PROVIDER_SLOTS_COUNT = CONFIG.interaction.maxProviderOrbs;
 
 // Helpers for projecting between spaces
 const planeNormal = new THREE.Vector3();
@@ -1050,23 +883,22 @@ const rayOrigin = new THREE.Vector3();
 const rayDir = new THREE.Vector3();
 const ndcVec = new THREE.Vector3();
 
-const tmpNdcB = new THREE.Vector3();
-const tmpNdcO = new THREE.Vector3();
-const tmpBalloonW = new THREE.Vector3();
-
-function worldToNDC(v, out) {
-  out.copy(v).project(camera);
-  return out;
-}
-
 /**
  * Maps NDC (screen-space -1..1) onto the plane that passes through viewCenter
  * and faces the camera. This makes tracking points feel “stuck” to the scene,
  * even though they come from 2D image coordinates.
  */
 function ndcToWorldOnViewPlane(ndcX, ndcY, out) {
+  ndcToWorldAtDepth(ndcX, ndcY, viewCenter, out);
+}
+
+/**
+ * Same as ndcToWorldOnViewPlane, but the camera-facing plane passes through
+ * anchor instead (e.g. a grabbed balloon, so it keeps its depth).
+ */
+function ndcToWorldAtDepth(ndcX, ndcY, anchor, out) {
   camera.getWorldDirection(planeNormal);
-  planePoint.copy(viewCenter);
+  planePoint.copy(anchor);
   tmpPlane.setFromNormalAndCoplanarPoint(planeNormal, planePoint);
 
   rayOrigin.copy(camera.position);
@@ -1078,21 +910,151 @@ function ndcToWorldOnViewPlane(ndcX, ndcY, out) {
   if (!hit) out.copy(ndcVec);
 }
 
-function setOrb(slot, worldPos, strength = 1.0) {
+/**
+ * Writes a measurement into an orb slot. options (all optional):
+ *  - strength: hover strength / sprite boost (default 1)
+ *  - ttl: seconds the point stays alive without updates (default orbMaxTTL)
+ *  - radiusNDC / radiusWorld: hover radius overrides (0 = CONFIG default)
+ *  - depthAware: the point sits at a tracked depth (see DEPTH FROM LANDMARKS)
+ */
+const NO_ORB_OPTIONS = {};
+
+function setOrb(slot, worldPos, options = NO_ORB_OPTIONS) {
   if (slot < 0 || slot >= MAX_ORBS) return;
+  const strength = options.strength ?? 1.0;
+  let ttl = options.ttl ?? CONFIG.interaction.orbMaxTTL;
+
   orbTargets[slot].copy(worldPos);
+  orbFresh[slot] = 1;
+  orbDepthAware[slot] = options.depthAware ? 1 : 0;
+  orbRadiusNDC[slot] = options.radiusNDC > 0 ? options.radiusNDC : 0;
+  orbRadiusWorld[slot] = options.radiusWorld > 0 ? options.radiusWorld : 0;
 
-  // First write initializes smoothed position to avoid lerping from (0,0,0)
-  if (orbPositions[slot].lengthSq() < 1e-6) orbPositions[slot].copy(worldPos);
+  // A dead slot snaps instead of filtering from wherever it was last used
+  // (reassigned pointers/hands would otherwise sweep across the screen).
+  if (orbTTL[slot] <= 0) resetOrbFilter(slot, worldPos);
+
+  const filter = CONFIG.interaction.orbFilter;
+  if (filter.type === "kalman") ttl = Math.max(ttl, filter.kalman.predictTime);
 
   orbBuoy[slot] = strength;
-  orbTTL[slot] = Math.max(0.01, CONFIG.interaction.orbMaxTTL);
+  orbTTL[slot] = Math.max(0.01, ttl);
 }
 
-function smoothOrbs(alpha) {
+function smoothOrbs(alpha, dt) {
+  const type = CONFIG.interaction.orbFilter.type;
+
   for (let i = 0; i < MAX_ORBS; i++) {
-    if (orbTTL[i] > 0) orbPositions[i].lerp(orbTargets[i], alpha);
+    const live = orbTTL[i] > 0;
+    if (live) {
+      orbPrev[i].copy(orbPositions[i]);
+      if (type === "oneEuro") oneEuroStep(i, dt);
+      else if (type === "kalman") kalmanStep(i, dt);
+      else orbPositions[i].lerp(orbTargets[i], alpha);
+      orbFresh[i] = 0;
+    }
+
+    if (live && orbWasLive[i] && dt > 0) orbVelocities[i].subVectors(orbPositions[i], orbPrev[i]).divideScalar(dt);
+    else orbVelocities[i].set(0, 0, 0);
+    orbWasLive[i] = live ? 1 : 0;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* ORB FILTERS                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * smoothOrbs runs one filter step per live slot on the fixed clock, picked by
+ * CONFIG.interaction.orbFilter.type:
+ *  - lerp:    inline in smoothOrbs
+ *  - oneEuro: low-pass whose cutoff grows with the (low-passed) target speed;
+ *             slow hands stay steady, fast ones keep up
+ *  - kalman:  constant-velocity model per slot. All three axes share one
+ *             2×2 covariance (same noise, same measurement times), kept in
+ *             orbCov as [p00, p01, p11]. Steps without a measurement only
+ *             predict, which is what carries orbs through dropouts.
+ *
+ * Filter state lives in orbFilterVel (speed estimate / Kalman velocity),
+ * orbRaw (previous One-Euro target) and orbCov, and is reset whenever a slot
+ * is (re)assigned.
+ */
+const orbFilterVel = Array.from({ length: MAX_ORBS }, () => new THREE.Vector3());
+const orbRaw = Array.from({ length: MAX_ORBS }, () => new THREE.Vector3());
+const orbCov = new Float32Array(MAX_ORBS * 3);
+const tmpFilterVec = new THREE.Vector3();
+
+// Initial velocity variance for a fresh Kalman slot: "no idea yet".
+const KALMAN_INITIAL_VEL_VAR = 100;
+
+function resetOrbFilter(slot, worldPos) {
+  orbPositions[slot].copy(worldPos);
+  orbRaw[slot].copy(worldPos);
+  orbFilterVel[slot].set(0, 0, 0);
+
+  const c = slot * 3;
+  orbCov[c] = CONFIG.interaction.orbFilter.kalman.measurementNoise;
+  orbCov[c + 1] = 0;
+  orbCov[c + 2] = KALMAN_INITIAL_VEL_VAR;
+}
+
+function resetAllOrbFilters() {
+  for (let i = 0; i < MAX_ORBS; i++) resetOrbFilter(i, orbPositions[i]);
+}
+
+// Exponential smoothing factor for a low-pass at cutoff Hz.
+function lowPassAlpha(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * Math.max(1e-3, cutoff));
+  return dt / (dt + tau);
+}
+
+function oneEuroStep(i, dt) {
+  const cfg = CONFIG.interaction.orbFilter.oneEuro;
+  const target = orbTargets[i];
+
+  tmpFilterVec.subVectors(target, orbRaw[i]).divideScalar(dt);
+  orbFilterVel[i].lerp(tmpFilterVec, lowPassAlpha(cfg.dCutoff, dt));
+  orbRaw[i].copy(target);
+
+  const cutoff = cfg.minCutoff + cfg.beta * orbFilterVel[i].length();
+  orbPositions[i].lerp(target, lowPassAlpha(cutoff, dt));
+}
+
+function kalmanStep(i, dt) {
+  const cfg = CONFIG.interaction.orbFilter.kalman;
+  const pos = orbPositions[i];
+  const vel = orbFilterVel[i];
+  const c = i * 3;
+  let p00 = orbCov[c];
+  let p01 = orbCov[c + 1];
+  let p11 = orbCov[c + 2];
+
+  // Predict: x += v·dt, P = F P Fᵀ + Q (white-noise acceleration).
+  const q = cfg.processNoise;
+  const dt2 = dt * dt;
+  pos.addScaledVector(vel, dt);
+  p00 += dt * (2 * p01 + dt * p11) + q * dt2 * dt2 * 0.25;
+  p01 += dt * p11 + q * dt2 * dt * 0.5;
+  p11 += q * dt2;
+
+  if (orbFresh[i]) {
+    // Correct with the position measurement.
+    const k0 = p00 / (p00 + cfg.measurementNoise);
+    const k1 = p01 / (p00 + cfg.measurementNoise);
+    tmpFilterVec.subVectors(orbTargets[i], pos);
+    pos.addScaledVector(tmpFilterVec, k0);
+    vel.addScaledVector(tmpFilterVec, k1);
+
+    p11 -= k1 * p01;
+    p01 *= 1 - k0;
+    p00 *= 1 - k0;
+  } else {
+    // Coasting through a dropout: let the prediction slow down.
+    vel.multiplyScalar(Math.exp(-cfg.coastDamping * dt));
   }
+
+  orbCov[c] = p00;
+  orbCov[c + 1] = p01;
+  orbCov[c + 2] = p11;
 }
 
 /* -------------------------------------------------------------------------- */
@@ -1150,7 +1112,7 @@ for (let i = 0; i < MAX_ORBS; i++) {
 
 function updateOrbSprites() {
   const mode = CONFIG.interaction.trackMode;
-  const visible = !!CONFIG.interaction.orbsVisible && mode !== "fullBody";
+  const visible = !!CONFIG.interaction.orbsVisible && mode !== "fullBody" && mode !== "silhouette";
 
   if (!visible) {
     for (let i = 0; i < orbSprites.length; i++) orbSprites[i].visible = false;
@@ -1168,6 +1130,7 @@ function updateOrbSprites() {
     if (alive) {
       const life01 = Math.min(1, orbTTL[i] / maxT);
       const b = THREE.MathUtils.clamp(orbBuoy[i], 0, 1);
+      s.material.color.setHex(orbIsGrabbing(i) ? CONFIG.interaction.grab.orbGrabColor : CONFIG.interaction.orbColor);
       s.position.copy(orbPositions[i]);
       s.scale.setScalar(baseSize + extra * b);
       s.material.opacity = CONFIG.interaction.orbOpacity * life01;
@@ -1179,33 +1142,93 @@ function updateOrbSprites() {
 }
 
 /* -------------------------------------------------------------------------- */
-/* MOUSE INPUT (RAYCAST)                                                       */
+/* POINTER INPUT (MOUSE / TOUCH / PEN)                                         */
 /* -------------------------------------------------------------------------- */
 /**
- * Mouse produces a single interaction point by raycasting the instanced mesh.
- * This is independent of pose/hand tracking and remains active even if camera
- * tracking is disabled.
+ * Every active pointer owns one orb slot in the pointer range, so several
+ * people tapping a kiosk at once each get their own point:
+ *  - pointerdown (or a hovering mouse/pen move) claims a free slot; pointers
+ *    beyond CONFIG.interaction.maxPointers are ignored
+ *  - pointermove updates that pointer's NDC position
+ *  - pointerup (touch/pen), pointercancel and pointerleave free the slot and
+ *    kill its orb at once
+ *
+ * Each frame updatePointerOrbs (the "pointers" provider) raycasts every active pointer against the
+ * balloons; a hit refreshes that slot with CONFIG.interaction.pointerTTL, so
+ * a pointer resting over empty sky fades out on its own.
+ *
+ * Independent of pose/hand tracking; active even if the camera is disabled.
  */
 const raycaster = new THREE.Raycaster();
-const pointer = new THREE.Vector2(999, 999);
+const activePointers = new Map(); // pointerId -> { index, ndc } (index in the pointer range)
+const pointerSlotUsed = new Uint8Array(POINTER_SLOTS_COUNT);
+const $canvas = renderer.domElement;
+
+function pointerToNdc(e, out) {
+  const rect = $canvas.getBoundingClientRect();
+  out.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+  out.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+}
+
+function claimPointer(e) {
+  let p = activePointers.get(e.pointerId);
+  if (p) return p;
+
+  const k = pointerSlotUsed.indexOf(0);
+  if (k < 0) return null;
+
+  pointerSlotUsed[k] = 1;
+  p = { index: k, ndc: new THREE.Vector2() };
+  activePointers.set(e.pointerId, p);
+  return p;
+}
+
+function releasePointer(e) {
+  const p = activePointers.get(e.pointerId);
+  if (!p) return;
+
+  activePointers.delete(e.pointerId);
+  pointerSlotUsed[p.index] = 0;
+  orbTTL[POINTER_SLOTS_START + p.index] = 0;
+}
 
-window.addEventListener("pointermove", (e) => {
+$canvas.addEventListener("pointerdown", (e) => {
   if (!CONFIG.interaction.mouseEnabled) return;
-  const rect = renderer.domElement.getBoundingClientRect();
-  pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-  pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+  const p = claimPointer(e);
+  if (!p) return;
+
+  pointerToNdc(e, p.ndc);
+  // Keep receiving moves for this pointer even if it slides off the canvas.
+  if (e.pointerType !== "mouse") $canvas.setPointerCapture(e.pointerId);
 });
-window.addEventListener("pointerleave", () => pointer.set(999, 999));
 
-function updateMouseOrb() {
+$canvas.addEventListener("pointermove", (e) => {
   if (!CONFIG.interaction.mouseEnabled) return;
-  if (Math.abs(pointer.x) > 2 || Math.abs(pointer.y) > 2) return;
 
-  raycaster.setFromCamera(pointer, camera);
-  const hits = raycaster.intersectObject(balloons, false);
-  if (!hits || !hits.length) return;
+  // Touches only exist while down; mice and pens also hover.
+  if (e.pointerType === "touch" && !activePointers.has(e.pointerId)) return;
+
+  const p = claimPointer(e);
+  if (p) pointerToNdc(e, p.ndc);
+});
+
+$canvas.addEventListener("pointerup", (e) => {
+  if (e.pointerType !== "mouse") releasePointer(e);
+});
+$canvas.addEventListener("pointercancel", releasePointer);
+$canvas.addEventListener("pointerleave", releasePointer);
+
+const pointerOrbOptions = { ttl: CONFIG.interaction.pointerTTL };
 
-  setOrb(0, hits[0].point, 1.0);
+function updatePointerOrbs(ctx) {
+  if (!CONFIG.interaction.mouseEnabled || activePointers.size === 0) return;
+  pointerOrbOptions.ttl = CONFIG.interaction.pointerTTL;
+
+  activePointers.forEach((p) => {
+    raycaster.setFromCamera(p.ndc, camera);
+    const hits = raycaster.intersectObject(balloons, false);
+    if (hits.length) ctx.setPoint(p.index, hits[0].point, pointerOrbOptions);
+  });
 }
 
 /* -------------------------------------------------------------------------- */
@@ -1228,6 +1251,10 @@ let lastHandsVideoTime = -1;
 // Used in fullBody mode (screen-space “hover zones”)
 const poseBoxesNDC = [];
 
+// Used in silhouette mode (see updateSilhouetteMask)
+let poseSegmenting = false;
+let poseSegmentingPending = false;
+
 async function initHandLandmarker(vision) {
   handLandmarker = await HandLandmarker.createFromOptions(vision, {
     baseOptions: { modelAssetPath: CONFIG.hands.modelAssetPath, delegate: CONFIG.hands.delegate },
@@ -1240,6 +1267,30 @@ async function initHandLandmarker(vision) {
   handsReady = true;
 }
 
+/**
+ * Segmentation masks cost GPU time on every pose frame, so the landmarker only
+ * outputs them while silhouette mode is active. Called every frame; setOptions
+ * runs only when the wanted state changes.
+ */
+function syncPoseSegmentation() {
+  if (!poseReady || poseSegmentingPending) return;
+  const want = CONFIG.interaction.trackMode === "silhouette";
+  if (want === poseSegmenting) return;
+
+  poseSegmentingPending = true;
+  const landmarker = poseLandmarker;
+  landmarker
+    .setOptions({ outputSegmentationMasks: want })
+    .then(() => {
+      // Ignore results for a landmarker closed in the meantime.
+      if (landmarker === poseLandmarker) poseSegmenting = want;
+    })
+    .catch((err) => console.warn("Pose segmentation toggle failed:", err))
+    .finally(() => {
+      poseSegmentingPending = false;
+    });
+}
+
 async function initPoseLandmarker() {
   const vision = await FilesetResolver.forVisionTasks(CONFIG.pose.wasmRoot);
 
@@ -1256,127 +1307,982 @@ async function initPoseLandmarker() {
   await initHandLandmarker(vision);
 }
 
+/* -------------------------------------------------------------------------- */
+/* VIDEO SOURCE (CAMERA / URL / FILE)                                          */
+/* -------------------------------------------------------------------------- */
 /**
- * Enables the camera, starts video playback, then initializes trackers once.
- * UI is minimal: button text updates, then fades out when active.
+ * The background and every detectForVideo call read $video, so switching
+ * sources only changes what $video plays:
+ *  - camera: getUserMedia stream (the button); see CAMERA DEVICES for device
+ *            choice, shutdown and recovery
+ *  - url:    any video the browser can play; remote hosts must allow CORS,
+ *            otherwise MediaPipe cannot read the frames
+ *  - file:   a File/Blob picked by the user or dropped onto the page
+ *
+ * Recordings loop per CONFIG.videoSource.loop and can be paused and seeked
+ * via window.SIM. Tracking idles while paused since last*VideoTime stops
+ * changing; detection timestamps come from the frame clock, so seeking
+ * backwards is fine for MediaPipe's VIDEO mode.
  */
-async function enableCamera() {
-  $btn.disabled = true;
-  $btn.textContent = "Starting…";
+const VIDEO_SOURCE_KINDS = ["camera", "url", "file"];
 
-  try {
-    const stream = await navigator.mediaDevices.getUserMedia({
-      video: { facingMode: "user" },
+let videoSourceKind = "none";
+let videoStream = null;
+let videoObjectUrl = "";
+
+function releaseVideoSource() {
+  if (videoStream) {
+    for (const track of videoStream.getTracks()) track.stop();
+    videoStream = null;
+  }
+  if (videoObjectUrl) {
+    URL.revokeObjectURL(videoObjectUrl);
+    videoObjectUrl = "";
+  }
+}
+
+/**
+ * Switches $video to source ({ kind: "camera" } | { kind: "url", url } |
+ * { kind: "file", file }), then initializes trackers once. The previous
+ * source is only released once the new one is acquired, so a denied camera
+ * permission leaves the current video playing.
+ */
+async function startVideoSource(source) {
+  const kind = source?.kind ?? "camera";
+  if (!VIDEO_SOURCE_KINDS.includes(kind)) throw new Error(`Unknown video source "${kind}".`);
+
+  let stream = null;
+  let src = "";
+  if (kind === "camera") {
+    stream = await navigator.mediaDevices.getUserMedia({
+      video: cameraConstraints(source.deviceId ?? CONFIG.videoSource.camera.deviceId),
       audio: false,
     });
+    watchCameraStream(stream);
+  } else if (kind === "url") {
+    src = String(source.url || "");
+    if (!src) throw new Error("Video URL is empty.");
+  } else {
+    if (!source.file) throw new Error("No video file given.");
+    src = URL.createObjectURL(source.file);
+  }
+
+  releaseVideoSource();
+  videoStream = stream;
+  if (kind === "file") videoObjectUrl = src;
+
+  if (stream) {
+    $video.removeAttribute("src");
     $video.srcObject = stream;
-    await $video.play();
+    $video.loop = false;
+  } else {
+    $video.srcObject = null;
+    $video.crossOrigin = kind === "url" ? "anonymous" : null;
+    $video.src = src;
+    $video.loop = !!CONFIG.videoSource.loop;
+  }
+  videoSourceKind = kind;
+
+  // A new source can report the same currentTime as the old one.
+  lastPoseVideoTime = -1;
+  lastHandsVideoTime = -1;
+
+  await $video.play();
+
+  if (!poseLandmarker) await initPoseLandmarker();
+  if (kind === "camera") refreshCameraPicker();
+  else $cameraPicker.style.display = "none";
+}
+
+/**
+ * Button-facing wrapper: updates the button while starting, then fades it out
+ * when active. UI is minimal on purpose.
+ */
+async function useVideoSource(source) {
+  $btn.disabled = true;
+  $btn.textContent = "Starting…";
 
-    if (!poseLandmarker) await initPoseLandmarker();
+  try {
+    await startVideoSource(source);
 
-    $btn.textContent = "Camera Enabled";
+    $btn.textContent = videoSourceKind === "camera" ? "Camera Enabled" : "Video Enabled";
     $btn.style.opacity = "0";
     $btn.style.pointerEvents = "none";
+    return true;
   } catch (err) {
     console.warn(err);
     $btn.disabled = false;
     $btn.textContent = "Enable Camera";
-    alert("Could not start camera / pose tracking (check permissions).");
+
+    if ((source?.kind ?? "camera") === "camera") alert("Could not start camera / pose tracking (check permissions).");
+    else alert("Could not play that video / start pose tracking.");
+    return false;
   }
 }
+
+function enableCamera() {
+  return useVideoSource({ kind: "camera" });
+}
 $btn.addEventListener("click", enableCamera);
 
 /* -------------------------------------------------------------------------- */
-/* TRACKING → ORB POINTS / FULLBODY BOXES                                      */
+/* CAMERA DEVICES (PICKER / SHUTDOWN / RECOVERY)                               */
 /* -------------------------------------------------------------------------- */
 /**
- * Wrists mode:
- *  - Uses pose wrists
- *  - Writes into stable orb slots (1 + p*2, 1 + p*2 + 1)
+ * - cameraConstraints builds the getUserMedia request from
+ *   CONFIG.videoSource.camera (device, facing mode, ideal resolution / fps)
+ * - $cameraPicker lists video inputs once a camera runs and more than one
+ *   exists (labels are only exposed after permission is granted); it follows
+ *   devicechange events
+ * - disableCamera stops the stream, closes the landmarkers and brings the
+ *   Enable button back
+ * - a stream track firing `ended` (camera unplugged, revoked) restarts the
+ *   camera with backoff, falling back to the default device if the chosen one
+ *   is gone; if every attempt fails the camera is disabled cleanly
  */
-function addPoseWristOrbPoints(nowMs) {
-  if (CONFIG.interaction.trackMode !== "wrists") return;
-  if (!CONFIG.interaction.poseEnabled) return;
-  if (!poseReady) return;
-  if (!$video.videoWidth) return;
-  if ($video.currentTime === lastPoseVideoTime) return;
-  lastPoseVideoTime = $video.currentTime;
-
-  const res = poseLandmarker.detectForVideo($video, nowMs);
-  const poses = res?.landmarks || [];
-
-  for (let p = 0; p < poses.length; p++) {
-    const lm = poses[p];
-    const lw = lm[CONFIG.pose.leftWristIndex];
-    const rw = lm[CONFIG.pose.rightWristIndex];
+const $cameraPicker = document.createElement("select");
+$cameraPicker.style.position = "fixed";
+$cameraPicker.style.top = "16px";
+$cameraPicker.style.left = "16px";
+$cameraPicker.style.zIndex = "10000";
+$cameraPicker.style.display = "none";
+$cameraPicker.style.padding = "8px 10px";
+$cameraPicker.style.borderRadius = "999px";
+$cameraPicker.style.border = "1px solid rgba(255, 255, 255, 0.18)";
+$cameraPicker.style.background = "rgba(0, 0, 0, 0.35)";
+$cameraPicker.style.color = "#fff";
+$cameraPicker.style.font = "600 13px system-ui, sans-serif";
+document.body.appendChild($cameraPicker);
+
+let cameraRecovering = false;
+
+function cameraConstraints(deviceId) {
+  const cam = CONFIG.videoSource.camera;
+  const video = {
+    width: { ideal: cam.width },
+    height: { ideal: cam.height },
+    frameRate: { ideal: cam.frameRate },
+  };
+  if (deviceId) video.deviceId = { exact: deviceId };
+  else video.facingMode = cam.facingMode || "user";
+  return video;
+}
 
-    if (lw) {
-      const nx = CONFIG.interaction.mirror ? 1 - lw.x : lw.x;
-      ndcToWorldOnViewPlane(nx * 2 - 1, -(lw.y * 2 - 1), tmpPos);
-      setOrb(1 + p * 2, tmpPos, 1.0);
-    }
+async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter((d) => d.kind === "videoinput")
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
 
-    if (rw) {
-      const nx = CONFIG.interaction.mirror ? 1 - rw.x : rw.x;
-      ndcToWorldOnViewPlane(nx * 2 - 1, -(rw.y * 2 - 1), tmpPos);
-      setOrb(1 + p * 2 + 1, tmpPos, 1.0);
-    }
+async function refreshCameraPicker() {
+  const cameras = await listCameras();
+  if (videoSourceKind !== "camera" || cameras.length < 2) {
+    $cameraPicker.style.display = "none";
+    return;
   }
-}
 
-/**
- * Fingers mode:
- *  - Uses hand fingertip landmarks (5 per hand)
- *  - Writes sequentially into the packed slots after wrists
- */
-const HAND_TIPS = [4, 8, 12, 16, 20];
+  const current = videoStream?.getVideoTracks()[0]?.getSettings?.().deviceId || CONFIG.videoSource.camera.deviceId;
+  $cameraPicker.replaceChildren(
+    ...cameras.map((c) => {
+      const option = document.createElement("option");
+      option.value = c.deviceId;
+      option.textContent = c.label;
+      option.selected = c.deviceId === current;
+      return option;
+    })
+  );
+  $cameraPicker.style.display = "block";
+}
 
-function addFingerOrbPoints(nowMs) {
-  if (CONFIG.interaction.trackMode !== "fingers") return;
-  if (!handsReady) return;
-  if (!$video.videoWidth) return;
-  if ($video.currentTime === lastHandsVideoTime) return;
-  lastHandsVideoTime = $video.currentTime;
+function useCameraDevice(deviceId) {
+  CONFIG.videoSource.camera.deviceId = String(deviceId || "");
+  return useVideoSource({ kind: "camera" });
+}
 
-  const res = handLandmarker.detectForVideo($video, nowMs);
-  const hands = res?.landmarks || [];
+$cameraPicker.addEventListener("change", () => {
+  useCameraDevice($cameraPicker.value);
+});
+navigator.mediaDevices?.addEventListener?.("devicechange", () => {
+  if (videoSourceKind === "camera") refreshCameraPicker();
+});
 
-  let slot = FINGER_SLOTS_START;
+function watchCameraStream(stream) {
+  for (const track of stream.getVideoTracks()) {
+    track.addEventListener("ended", () => {
+      // Tracks we stopped ourselves are no longer the current stream.
+      if (stream === videoStream) recoverCamera();
+    });
+  }
+}
 
-  for (let h = 0; h < hands.length; h++) {
-    const lm = hands[h];
-    for (let t = 0; t < HAND_TIPS.length; t++) {
-      if (slot >= MAX_ORBS) return;
+// How long the "Camera Reconnected" status stays up before fading again.
+const CAMERA_STATUS_MS = 2000;
 
-      const tip = lm[HAND_TIPS[t]];
-      if (!tip) { slot++; continue; }
+async function recoverCamera() {
+  if (cameraRecovering) return;
+  cameraRecovering = true;
+  console.warn("Camera stream ended; trying to reconnect…");
 
-      const nx = CONFIG.interaction.mirror ? 1 - tip.x : tip.x;
-      ndcToWorldOnViewPlane(nx * 2 - 1, -(tip.y * 2 - 1), tmpPos);
-      setOrb(slot, tmpPos, 1.0);
-      slot++;
+  // The button is faded out while the camera runs; bring it back as status.
+  $btn.disabled = true;
+  $btn.textContent = "Reconnecting camera…";
+  $btn.style.opacity = "";
+
+  const cam = CONFIG.videoSource.camera;
+  for (let attempt = 1; attempt <= cam.recoveryAttempts; attempt++) {
+    await new Promise((resolve) => setTimeout(resolve, cam.recoveryDelay * 1000 * attempt));
+    if (videoSourceKind !== "camera") break; // switched or disabled meanwhile
+
+    try {
+      const cameras = await listCameras();
+      const present = cameras.some((c) => c.deviceId === cam.deviceId);
+      await startVideoSource({ kind: "camera", deviceId: present ? cam.deviceId : "" });
+      cameraRecovering = false;
+      $btn.textContent = "Camera Reconnected";
+      setTimeout(() => {
+        if (videoSourceKind === "camera" && !cameraRecovering) $btn.style.opacity = "0";
+      }, CAMERA_STATUS_MS);
+      return;
+    } catch (err) {
+      console.warn(`Camera reconnect attempt ${attempt} failed:`, err);
     }
   }
+
+  cameraRecovering = false;
+  if (videoSourceKind === "camera") disableCamera();
+}
+
+function closeLandmarkers() {
+  poseLandmarker?.close();
+  handLandmarker?.close();
+  poseLandmarker = null;
+  handLandmarker = null;
+  poseReady = false;
+  handsReady = false;
+  poseSegmenting = false;
 }
 
 /**
- * FullBody mode:
- *  - No orbs (purely zone-based)
- *  - Builds per-person bounding boxes in NDC from all pose landmarks
- *  - Used later to determine “hover” by checking if balloon projects inside a box
+ * Stops whatever $video plays (camera or recording), frees the landmarkers
+ * and restores the Enable button. Interaction falls back to pointers.
  */
-function updateFullBodyBoxes(nowMs) {
+function disableCamera() {
+  releaseVideoSource();
+  $video.pause();
+  $video.srcObject = null;
+  $video.removeAttribute("src");
+  videoSourceKind = "none";
+
+  closeLandmarkers();
+  releaseAllGrabs();
   poseBoxesNDC.length = 0;
+  clearIdentities(poseTracker);
+  clearIdentities(handTracker);
+
+  $cameraPicker.style.display = "none";
+  $btn.disabled = false;
+  $btn.textContent = "Enable Camera";
+  $btn.style.opacity = "";
+  $btn.style.pointerEvents = "";
+}
+
+// Drop a video file anywhere on the page to use it as the source.
+addEventListener("dragover", (e) => {
+  e.preventDefault();
+});
+addEventListener("drop", (e) => {
+  e.preventDefault();
+  const file = Array.from(e.dataTransfer?.files || []).find((f) => f.type.startsWith("video/"));
+  if (file) useVideoSource({ kind: "file", file });
+});
+
+if (CONFIG.videoSource.url) useVideoSource({ kind: "url", url: CONFIG.videoSource.url });
+
+/* -------------------------------------------------------------------------- */
+/* TRACKING RECORD / REPLAY                                                    */
+/* -------------------------------------------------------------------------- */
+/**
+ * All landmark reads go through readPoseLandmarks / readHandLandmarks. They
+ * return the landmarks of a new video frame, or null when there is none yet.
+ *
+ * Recording (SIM.startRecording / stopRecording) logs every live result:
+ *   { version, mode, mirror, aspect, frames: [{ t, kind, landmarks, world }] }
+ * t is ms since the recording started, kind "pose" | "hands", landmarks one
+ * [[x, y, z], ...] list per person/hand (normalized image coords, rounded);
+ * world the matching worldLandmarks in meters (used for depth).
+ *
+ * Replay (SIM.playRecording) feeds those frames back on the same schedule
+ * instead of the camera and models, so the orb/box code downstream runs
+ * unchanged. Silhouette masks are too large to record and stay live-only, so
+ * recording refuses to start in silhouette mode and replay only accepts
+ * RECORDABLE_MODES.
+ */
+const RECORDING_VERSION = 1;
+const RECORDABLE_MODES = ["wrists", "fingers", "fullBody"];
+
+let recording = null;
+let replay = null;
+
+function packLandmarks(list) {
+  return list.map((lm) => lm.map((p) => [
+    Math.round(p.x * 1e4) / 1e4,
+    Math.round(p.y * 1e4) / 1e4,
+    Math.round((p.z ?? 0) * 1e4) / 1e4,
+  ]));
+}
+
+function unpackLandmarks(list) {
+  return list.map((lm) => lm.map(([x, y, z]) => ({ x, y, z })));
+}
+
+function recordFrame(kind, nowMs, landmarks, world) {
+  if (recording.startMs < 0) recording.startMs = nowMs;
+  recording.frames.push({
+    t: Math.round(nowMs - recording.startMs),
+    kind,
+    landmarks: packLandmarks(landmarks),
+    world: packLandmarks(world),
+  });
+}
+
+/**
+ * Returns the newest replay frame ({ landmarks, world }) of kind that is due at nowMs (skipping any
+ * older ones, like a live tracker would after a stall), or null. Ends the
+ * replay, or restarts it when looping, once every frame has been played.
+ */
+function nextReplayFrame(kind, nowMs) {
+  if (replay.startMs < 0) replay.startMs = nowMs;
+  const elapsed = nowMs - replay.startMs;
+  const frames = replay.frames;
+
+  let found = null;
+  let k = replay.cursor[kind];
+  while (k < frames.length && frames[k].t <= elapsed) {
+    if (frames[k].kind === kind) found = frames[k];
+    k++;
+  }
+  replay.cursor[kind] = k;
+
+  if (!frames.length || elapsed > frames[frames.length - 1].t) {
+    if (replay.loop) {
+      replay.startMs = -1;
+      replay.cursor.pose = 0;
+      replay.cursor.hands = 0;
+    } else {
+      replay = null;
+      console.log("Recording replay finished; back to live tracking.");
+    }
+  }
+  return found;
+}
+
+// worldLandmarks of the last frame each reader returned (same order).
+let poseWorld = [];
+let handsWorld = [];
+
+function readPoseLandmarks(nowMs) {
+  if (replay) {
+    const frame = nextReplayFrame("pose", nowMs);
+    if (!frame) return null;
+    poseWorld = frame.world;
+    return frame.landmarks;
+  }
+  if (!poseReady) return null;
+  if (!$video.videoWidth) return null;
+  if ($video.currentTime === lastPoseVideoTime) return null;
+  lastPoseVideoTime = $video.currentTime;
 
-  if (CONFIG.interaction.trackMode !== "fullBody") return;
-  if (!CONFIG.interaction.poseEnabled) return;
-  if (!poseReady) return;
-  if (!$video.videoWidth) return;
-  if ($video.currentTime === lastPoseVideoTime) return;
-  lastPoseVideoTime = $video.currentTime;
-
   const res = poseLandmarker.detectForVideo($video, nowMs);
   const poses = res?.landmarks || [];
+  poseWorld = res?.worldLandmarks || [];
+  if (recording) recordFrame("pose", nowMs, poses, poseWorld);
+  return poses;
+}
+
+function readHandLandmarks(nowMs) {
+  if (replay) {
+    const frame = nextReplayFrame("hands", nowMs);
+    if (!frame) return null;
+    handsWorld = frame.world;
+    return frame.landmarks;
+  }
+  if (!handsReady) return null;
+  if (!$video.videoWidth) return null;
+  if ($video.currentTime === lastHandsVideoTime) return null;
+  lastHandsVideoTime = $video.currentTime;
+
+  const res = handLandmarker.detectForVideo($video, nowMs);
+  const hands = res?.landmarks || [];
+  handsWorld = res?.worldLandmarks || [];
+  if (recording) recordFrame("hands", nowMs, hands, handsWorld);
+  return hands;
+}
+
+// Width / height of the frames landmarks are normalized against.
+function trackingAspect() {
+  if (replay) return replay.aspect;
+  return $video.videoHeight ? $video.videoWidth / $video.videoHeight : 1;
+}
+
+function startRecording() {
+  if (!RECORDABLE_MODES.includes(CONFIG.interaction.trackMode)) {
+    console.warn(`startRecording: "${CONFIG.interaction.trackMode}" can't be recorded (use ${RECORDABLE_MODES.join(", ")}).`);
+    return false;
+  }
+  recording = {
+    startMs: -1,
+    mode: CONFIG.interaction.trackMode,
+    mirror: !!CONFIG.interaction.mirror,
+    aspect: trackingAspect(),
+    frames: [],
+  };
+  return true;
+}
+
+function stopRecording() {
+  if (!recording) {
+    console.warn("stopRecording: not recording.");
+    return null;
+  }
+  const { mode, mirror, aspect, frames } = recording;
+  recording = null;
+  return JSON.stringify({ version: RECORDING_VERSION, mode, mirror, aspect, frames });
+}
+
+function playRecording(json, { loop = false } = {}) {
+  let data;
+  try {
+    data = typeof json === "string" ? JSON.parse(json) : json;
+  } catch (err) {
+    console.warn("playRecording: invalid JSON.", err);
+    return false;
+  }
+  if (!data || data.version !== RECORDING_VERSION || !Array.isArray(data.frames)) {
+    console.warn(`playRecording: expected a version ${RECORDING_VERSION} recording.`);
+    return false;
+  }
+  if (!RECORDABLE_MODES.includes(data.mode)) {
+    console.warn(`playRecording: unsupported track mode "${data.mode}" (expected ${RECORDABLE_MODES.join(", ")}).`);
+    return false;
+  }
+
+  replay = {
+    startMs: -1,
+    loop: !!loop,
+    aspect: Number(data.aspect) || 1,
+    cursor: { pose: 0, hands: 0 },
+    frames: data.frames
+      .filter((f) => (f.kind === "pose" || f.kind === "hands") && Array.isArray(f.landmarks))
+      .map((f) => ({
+        t: Number(f.t) || 0,
+        kind: f.kind,
+        landmarks: unpackLandmarks(f.landmarks),
+        world: Array.isArray(f.world) ? unpackLandmarks(f.world) : [],
+      }))
+      .sort((a, b) => a.t - b.t),
+  };
+
+  window.SIM.setTrackMode(data.mode);
+  CONFIG.interaction.mirror = !!data.mirror;
+  return true;
+}
+
+function stopReplay() {
+  replay = null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* VIDEO → SCREEN MAPPING                                                      */
+/* -------------------------------------------------------------------------- */
+/**
+ * Landmarks are normalized to the video frame, but #cameraBg is shown with
+ * object-fit: cover, so on a viewport with another aspect part of the frame
+ * is cropped. Every landmark → NDC conversion goes through videoToNdc, which
+ * accounts for:
+ *  - the cover crop (scale about the center by how much the video overflows)
+ *  - a CSS mirror on #cameraBg (read from its computed transform)
+ *  - CONFIG.interaction.mirror (flips once more)
+ *  - the manual calibration (CONFIG.interaction.calibration)
+ *
+ * It is affine per axis (ndc = a * u + b), refreshed once per frame by
+ * syncVideoMapping; ndcToVideo is the inverse, for the silhouette mask.
+ */
+const videoMap = { ax: 2, bx: -1, ay: -2, by: 1 };
+const tmpLandmarkNdc = { x: 0, y: 0 };
+const CALIBRATION_DEFAULTS = { ...CONFIG.interaction.calibration };
+let videoCssMirror = false;
+
+function refreshVideoCssMirror() {
+  const t = getComputedStyle($video).transform;
+  const m = /matrix(?:3d)?\(\s*([^,]+)/.exec(t || "");
+  videoCssMirror = m ? parseFloat(m[1]) < 0 : false;
+}
+
+function syncVideoMapping() {
+  const cal = CONFIG.interaction.calibration;
+  const videoAspect = trackingAspect();
+  const viewAspect = window.innerWidth / window.innerHeight || 1;
+
+  // Displayed video size relative to the viewport (>= 1 on the cropped axis).
+  const kx = Math.max(1, videoAspect / viewAspect);
+  const ky = Math.max(1, viewAspect / videoAspect);
+  const sx = videoCssMirror !== !!CONFIG.interaction.mirror ? -1 : 1;
+
+  videoMap.ax = 2 * kx * sx * cal.scaleX;
+  videoMap.bx = -kx * sx * cal.scaleX + cal.offsetX;
+  videoMap.ay = -2 * ky * cal.scaleY;
+  videoMap.by = ky * cal.scaleY + cal.offsetY;
+}
+
+function videoToNdc(u, v, out) {
+  out.x = videoMap.ax * u + videoMap.bx;
+  out.y = videoMap.ay * v + videoMap.by;
+  return out;
+}
+
+function ndcToVideo(ndcX, ndcY, out) {
+  out.x = (ndcX - videoMap.bx) / videoMap.ax;
+  out.y = (ndcY - videoMap.by) / videoMap.ay;
+  return out;
+}
+
+function loadCalibration() {
+  const cal = CONFIG.interaction.calibration;
+  try {
+    const saved = JSON.parse(localStorage.getItem(cal.storageKey) || "null");
+    if (saved) setCalibration(saved);
+  } catch (err) {
+    console.warn("Could not load saved calibration:", err);
+  }
+}
+
+function setCalibration(params) {
+  const cal = CONFIG.interaction.calibration;
+  for (const key of ["offsetX", "offsetY", "scaleX", "scaleY", "depthNear", "depthFar"]) {
+    const v = Number(params?.[key]);
+    if (!Number.isFinite(v)) continue;
+    if (key.startsWith("scale") && v === 0) continue;
+    if (key.startsWith("depth") && v <= 0) continue;
+    cal[key] = v;
+  }
+}
+
+function saveCalibration() {
+  const { storageKey, ...values } = CONFIG.interaction.calibration;
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(values));
+    return true;
+  } catch (err) {
+    console.warn("Could not save calibration:", err);
+    return false;
+  }
+}
+
+function resetCalibration() {
+  Object.assign(CONFIG.interaction.calibration, CALIBRATION_DEFAULTS);
+  try {
+    localStorage.removeItem(CONFIG.interaction.calibration.storageKey);
+  } catch (err) {
+    console.warn("Could not clear saved calibration:", err);
+  }
+}
+
+refreshVideoCssMirror();
+loadCalibration();
+$video.addEventListener("loadedmetadata", refreshVideoCssMirror);
+
+/* -------------------------------------------------------------------------- */
+/* DEPTH FROM LANDMARKS                                                        */
+/* -------------------------------------------------------------------------- */
+/**
+ * With CONFIG.interaction.depth.enabled, tracked orbs are placed at an
+ * estimated depth instead of the plane through viewCenter:
+ *  1) distance: how large a known body segment looks (palm for hands,
+ *     shoulder→hip for people) compared to its worldLandmarks length in
+ *     meters. The ratio is the frame width in meters at that distance, i.e.
+ *     roughly the distance itself for a webcam's field of view; the
+ *     calibration absorbs the rest.
+ *  2) reach: the landmark's own z relative to the hand/hips (world z for
+ *     pose wrists, image z × distance for fingertips), so pushing a hand
+ *     toward the camera moves its orb nearer.
+ *  3) calibration.depthNear..depthFar maps onto the lane end nearest the
+ *     camera..the far end (bounds.zMin/zMax).
+ *
+ * lastDepthDistance keeps the most recent estimate for SIM.calibrateDepth.
+ */
+const POSE_LEFT_SHOULDER = 11;
+const POSE_RIGHT_SHOULDER = 12;
+const POSE_LEFT_HIP = 23;
+const POSE_RIGHT_HIP = 24;
+const PALM_LENGTH_M = 0.09; // wrist → middle knuckle, if worldLandmarks are missing
+const TORSO_LENGTH_M = 0.5;
+
+const tmpDepthAnchor = new THREE.Vector3();
+const tmpMidA = { x: 0, y: 0, z: 0 };
+const tmpMidB = { x: 0, y: 0, z: 0 };
+let lastDepthDistance = NaN;
+
+function midpoint(a, b, out) {
+  out.x = (a.x + b.x) * 0.5;
+  out.y = (a.y + b.y) * 0.5;
+  out.z = ((a.z ?? 0) + (b.z ?? 0)) * 0.5;
+  return out;
+}
+
+// Image length in frame-width units (y rescaled so both axes match).
+function imageLength(a, b, aspect) {
+  return Math.hypot(a.x - b.x, (a.y - b.y) / aspect);
+}
+
+function worldLength(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function handDistance(lm, world, aspect) {
+  if (!lm[HAND_WRIST] || !lm[HAND_MIDDLE_MCP]) return NaN;
+  const img = imageLength(lm[HAND_WRIST], lm[HAND_MIDDLE_MCP], aspect);
+  const real = world?.[HAND_MIDDLE_MCP] ? worldLength(world[HAND_WRIST], world[HAND_MIDDLE_MCP]) : PALM_LENGTH_M;
+  return img > 1e-4 ? real / img : NaN;
+}
+
+function poseDistance(lm, world, aspect) {
+  const ls = lm[POSE_LEFT_SHOULDER], rs = lm[POSE_RIGHT_SHOULDER];
+  const lh = lm[POSE_LEFT_HIP], rh = lm[POSE_RIGHT_HIP];
+  if (!ls || !rs || !lh || !rh) return NaN;
+
+  const img = imageLength(midpoint(ls, rs, tmpMidA), midpoint(lh, rh, tmpMidB), aspect);
+  let real = TORSO_LENGTH_M;
+  if (world?.[POSE_RIGHT_HIP]) {
+    real = worldLength(
+      midpoint(world[POSE_LEFT_SHOULDER], world[POSE_RIGHT_SHOULDER], tmpMidA),
+      midpoint(world[POSE_LEFT_HIP], world[POSE_RIGHT_HIP], tmpMidB)
+    );
+  }
+  return img > 1e-4 ? real / img : NaN;
+}
+
+// Lane z for an estimated camera distance (near end of the lane = near).
+function distanceToLaneZ(distance) {
+  const cal = CONFIG.interaction.calibration;
+  const span = cal.depthFar - cal.depthNear;
+  const t = THREE.MathUtils.clamp(span > 1e-6 ? (distance - cal.depthNear) / span : 0.5, 0, 1);
+
+  const zMaxIsNear = Math.abs(camera.position.z - bounds.zMax) < Math.abs(camera.position.z - bounds.zMin);
+  const nearZ = zMaxIsNear ? bounds.zMax : bounds.zMin;
+  const farZ = zMaxIsNear ? bounds.zMin : bounds.zMax;
+  return THREE.MathUtils.lerp(nearZ, farZ, t);
+}
+
+/**
+ * Maps a landmark to world space: at distance + reach when depth is enabled
+ * and the distance is known, else on the view plane. Returns whether the
+ * result is depth-aware.
+ */
+function landmarkToWorld(pt, distance, reach, out) {
+  videoToNdc(pt.x, pt.y, tmpLandmarkNdc);
+
+  if (!CONFIG.interaction.depth.enabled || !Number.isFinite(distance)) {
+    ndcToWorldOnViewPlane(tmpLandmarkNdc.x, tmpLandmarkNdc.y, out);
+    return false;
+  }
+
+  const z = distanceToLaneZ(distance + reach * CONFIG.interaction.depth.reachScale);
+  tmpDepthAnchor.set(viewCenter.x, viewCenter.y, z);
+  ndcToWorldAtDepth(tmpLandmarkNdc.x, tmpLandmarkNdc.y, tmpDepthAnchor, out);
+  return true;
+}
+
+function calibrateDepth(end) {
+  if (!Number.isFinite(lastDepthDistance)) {
+    console.warn("calibrateDepth: no tracked hand/person to measure yet.");
+    return NaN;
+  }
+  const key = end === "far" ? "depthFar" : "depthNear";
+  CONFIG.interaction.calibration[key] = lastDepthDistance;
+  return lastDepthDistance;
+}
+
+/* -------------------------------------------------------------------------- */
+/* IDENTITY TRACKING (PEOPLE / HANDS)                                          */
+/* -------------------------------------------------------------------------- */
+/**
+ * MediaPipe returns people and hands in no particular order. An identity
+ * tracker matches each frame's detections to the previous ones and hands out
+ * persistent IDs plus a stable slot (0..capacity-1); orb slots, pinch state
+ * etc. are keyed by that slot, so reordering no longer swaps orbs.
+ *
+ * Matching is greedy on bounding boxes in normalized image coords: the best
+ * remaining pair by IoU minus centroid distance wins, as long as it passes
+ * CONFIG.interaction.identity.minIoU or maxCentroidDist. Unmatched detections
+ * take a free slot with a new ID ("personenter" / "handenter"); tracks unseen
+ * for lostTimeout are dropped ("personleave" / "handleave"). Everything is
+ * preallocated; with at most a handful of detections the O(n³) matching is
+ * negligible.
+ */
+function createIdentityTracker(kind, capacity) {
+  return {
+    kind, // "person" | "hand" (event prefix)
+    capacity,
+    nextId: 1,
+    ids: new Int32Array(capacity).fill(-1),
+    boxes: new Float32Array(capacity * 4), // minX, minY, maxX, maxY
+    lastSeenMs: new Float64Array(capacity),
+    detBoxes: new Float32Array(capacity * 4),
+    detSlot: new Int32Array(capacity),
+    matched: new Uint8Array(capacity), // slot claimed this frame
+    onAssign: null, // (slot) => void, called when a slot gets a new identity
+  };
+}
+
+const trackingListeners = new Map();
+
+function emitTracking(type, detail) {
+  const set = trackingListeners.get(type);
+  if (!set) return;
+  for (const fn of set) {
+    try {
+      fn(detail);
+    } catch (err) {
+      console.warn(`SIM "${type}" listener failed:`, err);
+    }
+  }
+}
+
+function landmarkBox(lm, out, o) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < lm.length; i++) {
+    const p = lm[i];
+    if (!p) continue;
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  }
+  out[o] = minX;
+  out[o + 1] = minY;
+  out[o + 2] = maxX;
+  out[o + 3] = maxY;
+  return minX <= maxX;
+}
+
+// IoU minus centroid distance of two boxes, or -Infinity if they don't match.
+function matchScore(a, ai, b, bi) {
+  const cfg = CONFIG.interaction.identity;
+  const ix = Math.max(0, Math.min(a[ai + 2], b[bi + 2]) - Math.max(a[ai], b[bi]));
+  const iy = Math.max(0, Math.min(a[ai + 3], b[bi + 3]) - Math.max(a[ai + 1], b[bi + 1]));
+  const inter = ix * iy;
+  const areaA = (a[ai + 2] - a[ai]) * (a[ai + 3] - a[ai + 1]);
+  const areaB = (b[bi + 2] - b[bi]) * (b[bi + 3] - b[bi + 1]);
+  const iou = inter > 0 ? inter / (areaA + areaB - inter) : 0;
+
+  const dx = (a[ai] + a[ai + 2] - b[bi] - b[bi + 2]) * 0.5;
+  const dy = (a[ai + 1] + a[ai + 3] - b[bi + 1] - b[bi + 3]) * 0.5;
+  const dist = Math.hypot(dx, dy);
+
+  if (iou < cfg.minIoU && dist > cfg.maxCentroidDist) return -Infinity;
+  return iou - dist;
+}
+
+/**
+ * Matches detections (landmark lists) to tracked identities. Returns
+ * tracker.detSlot: the slot of detection d, or -1 (empty / over capacity).
+ */
+function trackIdentities(tracker, detections, nowMs) {
+  const { capacity, ids, boxes, lastSeenMs, detBoxes, detSlot, matched } = tracker;
+  const n = Math.min(detections.length, capacity);
+
+  for (let d = 0; d < capacity; d++) detSlot[d] = -1;
+  matched.fill(0);
+
+  let pending = 0;
+  for (let d = 0; d < n; d++) {
+    if (landmarkBox(detections[d], detBoxes, d * 4)) {
+      detSlot[d] = -2; // valid, not yet assigned
+      pending++;
+    }
+  }
+
+  // Greedy: repeatedly take the best remaining (track, detection) pair.
+  while (pending > 0) {
+    let bestScore = -Infinity;
+    let bestSlot = -1;
+    let bestDet = -1;
+    for (let slot = 0; slot < capacity; slot++) {
+      if (ids[slot] < 0 || matched[slot]) continue;
+      for (let d = 0; d < n; d++) {
+        if (detSlot[d] !== -2) continue;
+        const score = matchScore(boxes, slot * 4, detBoxes, d * 4);
+        if (score > bestScore) {
+          bestScore = score;
+          bestSlot = slot;
+          bestDet = d;
+        }
+      }
+    }
+    if (bestSlot < 0) break;
+
+    matched[bestSlot] = 1;
+    detSlot[bestDet] = bestSlot;
+    pending--;
+  }
+
+  // New identities for whatever is left.
+  for (let d = 0; d < n && pending > 0; d++) {
+    if (detSlot[d] !== -2) continue;
+    pending--;
+
+    let slot = -1;
+    for (let k = 0; k < capacity; k++) {
+      if (ids[k] < 0) {
+        slot = k;
+        break;
+      }
+    }
+    if (slot < 0) {
+      detSlot[d] = -1;
+      continue;
+    }
+
+    ids[slot] = tracker.nextId++;
+    matched[slot] = 1;
+    detSlot[d] = slot;
+    tracker.onAssign?.(slot);
+    emitTracking(`${tracker.kind}enter`, { id: ids[slot], slot });
+  }
+
+  for (let d = 0; d < n; d++) {
+    const slot = detSlot[d];
+    if (slot < 0) continue;
+    for (let k = 0; k < 4; k++) boxes[slot * 4 + k] = detBoxes[d * 4 + k];
+    lastSeenMs[slot] = nowMs;
+  }
+
+  // Drop identities that stayed unseen for too long.
+  const lostMs = CONFIG.interaction.identity.lostTimeout * 1000;
+  for (let slot = 0; slot < capacity; slot++) {
+    if (ids[slot] < 0 || matched[slot] || nowMs - lastSeenMs[slot] <= lostMs) continue;
+    const id = ids[slot];
+    ids[slot] = -1;
+    emitTracking(`${tracker.kind}leave`, { id, slot });
+  }
+
+  return detSlot;
+}
+
+// Ends every identity (leave events), e.g. when tracking stops.
+function clearIdentities(tracker) {
+  for (let slot = 0; slot < tracker.capacity; slot++) {
+    const id = tracker.ids[slot];
+    if (id < 0) continue;
+    tracker.ids[slot] = -1;
+    emitTracking(`${tracker.kind}leave`, { id, slot });
+  }
+}
+
+const poseTracker = createIdentityTracker("person", CONFIG.interaction.maxPeople);
+const handTracker = createIdentityTracker("hand", CONFIG.interaction.maxHands);
+
+// A slot that changes identity starts its orbs from scratch (no sweeping).
+poseTracker.onAssign = (slot) => {
+  orbTTL[WRIST_SLOTS_START + slot * 2] = 0;
+  orbTTL[WRIST_SLOTS_START + slot * 2 + 1] = 0;
+};
+handTracker.onAssign = (slot) => {
+  for (let t = 0; t < FINGERTIPS_PER_HAND; t++) orbTTL[FINGER_SLOTS_START + slot * FINGERTIPS_PER_HAND + t] = 0;
+};
+
+/* -------------------------------------------------------------------------- */
+/* TRACKING → ORB POINTS / FULLBODY BOXES                                      */
+/* -------------------------------------------------------------------------- */
+/**
+ * Wrists mode:
+ *  - Uses pose wrists
+ *  - Writes into the person's stable points of the "pose" provider (slot*2, +1)
+ */
+const TRACKED_ORB = {};
+const TRACKED_DEPTH_ORB = { depthAware: true };
+
+function addPoseWristOrbPoints(ctx, nowMs) {
+  if (CONFIG.interaction.trackMode !== "wrists") return;
+  if (!CONFIG.interaction.poseEnabled) return;
+  const poses = readPoseLandmarks(nowMs);
+  if (!poses) return;
+
+  const slots = trackIdentities(poseTracker, poses, nowMs);
+
+  for (let p = 0; p < poses.length; p++) {
+    const slot = slots[p];
+    if (slot < 0) continue;
+
+    const lm = poses[p];
+    const world = poseWorld[p];
+    const distance = poseDistance(lm, world, trackingAspect());
+    if (Number.isFinite(distance)) lastDepthDistance = distance;
+
+    for (let side = 0; side < 2; side++) {
+      const index = side === 0 ? CONFIG.pose.leftWristIndex : CONFIG.pose.rightWristIndex;
+      const wrist = lm[index];
+      if (!wrist) continue;
+
+      // World z is meters from the hip center (negative = toward the camera).
+      const reach = world?.[index] ? world[index].z : (wrist.z ?? 0) * distance;
+      const depthAware = landmarkToWorld(wrist, distance, reach, tmpPos);
+      ctx.setPoint(slot * 2 + side, tmpPos, depthAware ? TRACKED_DEPTH_ORB : TRACKED_ORB);
+    }
+  }
+}
+
+/**
+ * Fingers mode:
+ *  - Uses hand fingertip landmarks (5 per hand)
+ *  - Writes into the hand's stable points of the "hands" provider (slot*5 + tip)
+ */
+const HAND_TIPS = [4, 8, 12, 16, 20];
+
+function addFingerOrbPoints(ctx, nowMs) {
+  if (CONFIG.interaction.trackMode !== "fingers") return;
+  const hands = readHandLandmarks(nowMs);
+  if (!hands) return;
+
+  const slots = trackIdentities(handTracker, hands, nowMs);
+
+  for (let h = 0; h < hands.length; h++) {
+    if (slots[h] < 0) continue;
+
+    const lm = hands[h];
+    const distance = handDistance(lm, handsWorld[h], trackingAspect());
+    if (Number.isFinite(distance)) lastDepthDistance = distance;
+
+    const base = slots[h] * FINGERTIPS_PER_HAND;
+    for (let t = 0; t < HAND_TIPS.length; t++) {
+      const tip = lm[HAND_TIPS[t]];
+      if (!tip) continue;
+
+      // Tip z is relative to the wrist, in frame-width units like x.
+      const depthAware = landmarkToWorld(tip, distance, (tip.z ?? 0) * distance, tmpPos);
+      ctx.setPoint(base + t, tmpPos, depthAware ? TRACKED_DEPTH_ORB : TRACKED_ORB);
+    }
+  }
+
+  detectPinches(hands, slots);
+}
+
+/**
+ * FullBody mode:
+ *  - No orbs (purely zone-based)
+ *  - Builds per-person bounding boxes in NDC from all pose landmarks
+ *  - Used later to determine “hover” by checking if balloon projects inside a box
+ */
+function updateFullBodyBoxes(nowMs) {
+  poseBoxesNDC.length = 0;
+
+  if (CONFIG.interaction.trackMode !== "fullBody") return;
+  if (!CONFIG.interaction.poseEnabled) return;
+  const poses = readPoseLandmarks(nowMs);
+  if (!poses) return;
+  trackIdentities(poseTracker, poses, nowMs);
 
   for (let p = 0; p < poses.length; p++) {
     const lm = poses[p];
@@ -1386,8 +2292,7 @@ function updateFullBodyBoxes(nowMs) {
       const pt = lm[i];
       if (!pt) continue;
 
-      const x = (CONFIG.interaction.mirror ? 1 - pt.x : pt.x) * 2 - 1;
-      const y = -((pt.y * 2) - 1);
+      const { x, y } = videoToNdc(pt.x, pt.y, tmpLandmarkNdc);
 
       minX = Math.min(minX, x);
       maxX = Math.max(maxX, x);
@@ -1408,189 +2313,866 @@ function updateFullBodyBoxes(nowMs) {
   }
 }
 
+/**
+ * Silhouette mode:
+ *  - No orbs (purely zone-based)
+ *  - Merges every person's pose segmentation mask into silhouetteMask, a
+ *    coverage grid laid out over the screen (see applyInfluence in the core)
+ *  - Masks are only valid inside the detectForVideo callback, so they are
+ *    resampled there; the grid keeps the last frame until a new one arrives
+ */
+const silhouetteMask = { data: null, width: 0, height: 0, threshold: 0.5 };
+
+function resizeSilhouetteMask() {
+  const cols = Math.max(8, CONFIG.interaction.silhouette.columns | 0);
+  const aspect = window.innerWidth / window.innerHeight || 1;
+  const rows = Math.max(8, Math.round(cols / aspect));
+
+  if (cols !== silhouetteMask.width || rows !== silhouetteMask.height) {
+    silhouetteMask.width = cols;
+    silhouetteMask.height = rows;
+    silhouetteMask.data = new Float32Array(cols * rows);
+  }
+}
+
+function updateSilhouetteMask(nowMs) {
+  if (CONFIG.interaction.trackMode !== "silhouette") return;
+  if (!CONFIG.interaction.poseEnabled || !poseReady) {
+    silhouetteMask.data?.fill(0);
+    return;
+  }
+  if (!poseSegmenting) return;
+  if (!$video.videoWidth) return;
+  if ($video.currentTime === lastPoseVideoTime) return;
+  lastPoseVideoTime = $video.currentTime;
+
+  resizeSilhouetteMask();
+  poseLandmarker.detectForVideo($video, nowMs, (res) => {
+    const { data, width: cols, height: rows } = silhouetteMask;
+    const masks = res?.segmentationMasks || [];
+    data.fill(0);
+    trackIdentities(poseTracker, res?.landmarks || [], nowMs);
+
+    for (let m = 0; m < masks.length; m++) {
+      const src = masks[m].getAsFloat32Array();
+      const mw = masks[m].width;
+      const mh = masks[m].height;
+
+      // Each grid cell samples the mask pixel shown under its center.
+      for (let r = 0; r < rows; r++) {
+        const ndcY = 1 - ((r + 0.5) / rows) * 2;
+        for (let c = 0; c < cols; c++) {
+          const { x: u, y: v } = ndcToVideo(((c + 0.5) / cols) * 2 - 1, ndcY, tmpLandmarkNdc);
+          if (u < 0 || u >= 1 || v < 0 || v >= 1) continue;
+
+          const value = src[Math.floor(v * mh) * mw + Math.floor(u * mw)];
+          const k = r * cols + c;
+          if (value > data[k]) data[k] = value;
+        }
+      }
+    }
+  });
+}
+
 /* -------------------------------------------------------------------------- */
-/* BUOYANCY APPLICATION                                                        */
+/* PINCH GRAB (HANDS)                                                          */
 /* -------------------------------------------------------------------------- */
 /**
- * applyOrbInfluence computes hovered state per balloon and updates buoyancy:
- *  - hovered: buoyancy rises quickly
- *  - not hovered: buoyancy decays per balloon via decay[i]
+ * Fingers mode only. Each tracked hand slot (see IDENTITY TRACKING, shared
+ * with its fingertip orbs) keeps a small pinch state:
+ *  - detectPinches (input side) measures thumb–index distance per detection
+ *    and records the pinch point in NDC
+ *  - applyHandGrabs (fixed step) grabs, drags and throws balloons in the core
  *
- * Hover detection options:
- *  - fullBody: balloon NDC inside any pose bounding box
- *  - screen-space: compare balloon NDC against each active orb NDC (recommended)
- *  - world-space: compare 3D distance (legacy)
+ * The split keeps balloon state changes on the fixed clock, like every other
+ * input. The pinch point is unprojected onto a camera-facing plane through
+ * the balloon's position at grab time, so a held balloon keeps its depth.
  */
-function applyOrbInfluence(dt) {
-  const { buoyancyRiseRate } = CONFIG.physics;
-  const { randomLight } = CONFIG;
-  const mode = CONFIG.interaction.trackMode;
+const HAND_WRIST = 0;
+const HAND_THUMB_TIP = 4;
+const HAND_INDEX_TIP = 8;
+const HAND_MIDDLE_MCP = 9;
+
+const MAX_HANDS = CONFIG.interaction.maxHands;
+const handPinching = new Uint8Array(MAX_HANDS);
+const handSeen = new Uint8Array(MAX_HANDS);
+const handPinchNdc = new Float32Array(MAX_HANDS * 2);
+const handSample = new Uint32Array(MAX_HANDS); // bumps on every new pinch point
+const handSampleSeen = new Uint32Array(MAX_HANDS);
+const handSampleAge = new Float32Array(MAX_HANDS); // seconds since last seen sample
+const handHeld = new Int32Array(MAX_HANDS).fill(-1);
+const handAnchor = Array.from({ length: MAX_HANDS }, () => new THREE.Vector3());
+const handTarget = Array.from({ length: MAX_HANDS }, () => new THREE.Vector3());
+const handVelocity = Array.from({ length: MAX_HANDS }, () => new THREE.Vector3());
+const tmpGrabPos = new THREE.Vector3();
+const tmpGrabVel = new THREE.Vector3();
+
+function detectPinches(hands, slots) {
+  const grab = CONFIG.interaction.grab;
+  const aspect = trackingAspect();
+
+  handSeen.fill(0);
+  for (let d = 0; d < hands.length; d++) {
+    const h = slots[d];
+    if (h < 0) continue;
+    handSeen[h] = 1;
+
+    const lm = hands[d];
+    const thumb = lm?.[HAND_THUMB_TIP];
+    const index = lm?.[HAND_INDEX_TIP];
+    const wrist = lm?.[HAND_WRIST];
+    const knuckle = lm?.[HAND_MIDDLE_MCP];
+
+    if (!thumb || !index || !wrist || !knuckle) {
+      handPinching[h] = 0;
+      continue;
+    }
+
+    // Distances in video pixels (x scaled by aspect) relative to palm length,
+    // so the thresholds hold at any distance from the camera.
+    const palm = Math.hypot((knuckle.x - wrist.x) * aspect, knuckle.y - wrist.y);
+    const gap = Math.hypot((index.x - thumb.x) * aspect, index.y - thumb.y);
+    const ratio = palm > 1e-4 ? gap / palm : Infinity;
+
+    if (handPinching[h]) handPinching[h] = ratio < grab.pinchOff ? 1 : 0;
+    else handPinching[h] = ratio < grab.pinchOn ? 1 : 0;
+
+    const mx = (thumb.x + index.x) * 0.5;
+    const my = (thumb.y + index.y) * 0.5;
+    videoToNdc(mx, my, tmpLandmarkNdc);
+    handPinchNdc[h * 2] = tmpLandmarkNdc.x;
+    handPinchNdc[h * 2 + 1] = tmpLandmarkNdc.y;
+    handSample[h]++;
+  }
 
-  const useScreen = !!CONFIG.interaction.useScreenSpaceHit;
+  for (let h = 0; h < MAX_HANDS; h++) if (!handSeen[h]) handPinching[h] = 0;
+}
 
-  const rW = CONFIG.interaction.hoverRadiusWorld;
-  const rWSq = rW * rW;
+function releaseHand(h) {
+  const i = handHeld[h];
+  handHeld[h] = -1;
+  if (i < 0 || i >= sim.count || !sim.held[i]) return;
 
-  const rN = THREE.MathUtils.clamp(
-    CONFIG.interaction.screenRadiusNDC ?? 0.065,
-    CONFIG.interaction.screenRadiusMin ?? 0.03,
-    CONFIG.interaction.screenRadiusMax ?? 0.10
-  );
-  const rNSq = rN * rN;
-
-  for (let i = 0; i < N; i++) {
-    let b = buoy[i];
-    let hovered = false;
-
-    if (mode === "fullBody") {
-      if (poseBoxesNDC.length) {
-        tmpBalloonW.set(posX[i], posY[i], posZ[i]);
-        worldToNDC(tmpBalloonW, tmpNdcB);
-
-        const balloonClipOK = tmpNdcB.z >= -1 && tmpNdcB.z <= 1;
-        if (balloonClipOK) {
-          for (let bi = 0; bi < poseBoxesNDC.length; bi++) {
-            const bb2 = poseBoxesNDC[bi];
-            if (
-              tmpNdcB.x >= bb2.minX && tmpNdcB.x <= bb2.maxX &&
-              tmpNdcB.y >= bb2.minY && tmpNdcB.y <= bb2.maxY
-            ) {
-              hovered = true;
-              break;
-            }
-          }
-        }
-      }
-    } else if (useScreen) {
-      tmpBalloonW.set(posX[i], posY[i], posZ[i]);
-      worldToNDC(tmpBalloonW, tmpNdcB);
+  const k = CONFIG.interaction.grab.throwScale;
+  const v = handVelocity[h];
+  releaseBalloon(sim, i, v.x * k, v.y * k, v.z * k);
+}
 
-      const balloonClipOK = tmpNdcB.z >= -1 && tmpNdcB.z <= 1;
-      if (balloonClipOK) {
-        for (let j = 0; j < MAX_ORBS; j++) {
-          if (orbTTL[j] <= 0) continue;
+function applyHandGrabs(dt) {
+  const grab = CONFIG.interaction.grab;
+  const active = grab.enabled && CONFIG.interaction.trackMode === "fingers";
 
-          worldToNDC(orbPositions[j], tmpNdcO);
-          if (tmpNdcO.z < -1 || tmpNdcO.z > 1) continue;
+  for (let h = 0; h < MAX_HANDS; h++) {
+    let i = handHeld[h];
 
-          const dx = tmpNdcB.x - tmpNdcO.x;
-          const dy = tmpNdcB.y - tmpNdcO.y;
+    // Restart / count changes clear held flags in the core.
+    if (i >= 0 && (i >= sim.count || !sim.held[i])) handHeld[h] = i = -1;
 
-          if (dx * dx + dy * dy < rNSq) {
-            hovered = true;
-            break;
-          }
-        }
-      }
-    } else {
-      const bx = posX[i], by = posY[i], bz = posZ[i];
-      for (let j = 0; j < MAX_ORBS; j++) {
-        if (orbTTL[j] <= 0) continue;
-        const op = orbPositions[j];
-        const dx = bx - op.x;
-        const dy = by - op.y;
-        const dz = bz - op.z;
-        if (dx * dx + dy * dy + dz * dz < rWSq) {
-          hovered = true;
-          break;
-        }
-      }
+    if (!active || !handPinching[h]) {
+      if (i >= 0) releaseHand(h);
+      continue;
     }
 
-    if (hovered) b += buoyancyRiseRate * dt;
-    else if (b > 0) b -= decay[i] * dt;
+    const ndcX = handPinchNdc[h * 2];
+    const ndcY = handPinchNdc[h * 2 + 1];
+    const fresh = handSample[h] !== handSampleSeen[h];
+    handSampleSeen[h] = handSample[h];
+    handSampleAge[h] += dt;
+
+    if (i < 0) {
+      if (!fresh) continue;
+      i = pickBalloon(sim, ndcX, ndcY, grab.grabRadiusNDC);
+      if (i < 0 || !grabBalloon(sim, i)) continue;
+
+      handHeld[h] = i;
+      handAnchor[h].set(sim.posX[i], sim.posY[i], sim.posZ[i]);
+      ndcToWorldAtDepth(ndcX, ndcY, handAnchor[h], handTarget[h]);
+      handVelocity[h].set(0, 0, 0);
+      handSampleAge[h] = 0;
+    } else if (fresh) {
+      ndcToWorldAtDepth(ndcX, ndcY, handAnchor[h], tmpGrabPos);
+
+      // Hand velocity from detection to detection (tracking runs slower than
+      // the fixed step), smoothed so a throw uses the swing, not the last jitter.
+      const age = Math.max(dt, handSampleAge[h]);
+      tmpGrabVel.subVectors(tmpGrabPos, handTarget[h]).divideScalar(age);
+      handVelocity[h].lerp(tmpGrabVel, THREE.MathUtils.clamp(grab.velocitySmoothing, 0, 1));
+      handTarget[h].copy(tmpGrabPos);
+      handSampleAge[h] = 0;
+    }
 
-    if (!hovered && b <= 0.01 && posY[i] < bounds.yMax * randomLight.thresholdY) {
-      if (Math.random() < randomLight.rate * dt) b = 1.0;
+    const t = handTarget[h];
+    setHoldTarget(sim, i, t.x, t.y, t.z);
+  }
+}
+
+function releaseAllGrabs() {
+  for (let h = 0; h < MAX_HANDS; h++) releaseHand(h);
+}
+
+// Fingertip orbs of a hand that is holding a balloon switch color.
+function orbIsGrabbing(slot) {
+  const h = Math.floor((slot - FINGER_SLOTS_START) / FINGERTIPS_PER_HAND);
+  return h >= 0 && h < MAX_HANDS && handHeld[h] >= 0;
+}
+
+/* -------------------------------------------------------------------------- */
+/* INFLUENCER PROVIDERS                                                        */
+/* -------------------------------------------------------------------------- */
+/**
+ * Everything that makes balloons "hovered" is a provider, run once per frame:
+ *
+ *   SIM.registerInfluencer("lidar", {
+ *     slots: 8,                      // orb slots it needs (0 for zones only)
+ *     update(ctx, nowMs) {
+ *       ctx.setPoint(0, { x, y, z }, { strength, ttl, radiusNDC, radiusWorld });
+ *       ctx.setPointNdc(1, ndcX, ndcY, options);   // on the view plane
+ *       ctx.clearPoint(2);
+ *       ctx.addBox({ minX, maxX, minY, maxY, strength }); // NDC zone, this frame only
+ *       ctx.addMask({ data, width, height, threshold, strength }); // see applyInfluence
+ *     },
+ *   });
+ *
+ * strength (default 1) scales how fast hovered balloons light up
+ * (physics.buoyancyRiseRate is fast, so only small values visibly slow it);
+ * where shapes overlap, the strongest wins.
+ *
+ * Point indices are local (0..slots-1); the registry maps them onto the
+ * provider's own orb slot range, so points get the same filtering, TTL,
+ * sprites and push as built-in orbs. Runtime providers share the
+ * maxProviderOrbs pool. The built-ins ("pointers", "pose", "hands") are
+ * registered the same way on fixed ranges at startup.
+ *
+ * A provider whose update throws is unregistered with a warning, so one bad
+ * source can't stop the frame loop.
+ */
+const frameBoxes = [];
+const frameMasks = [];
+const influencerProviders = []; // { name, provider, slotStart, slotCount, ctx }
+const providerSlotUsed = new Uint8Array(PROVIDER_SLOTS_COUNT);
+const tmpProviderPos = new THREE.Vector3();
+
+function createProviderContext(entry) {
+  const inRange = (i) => Number.isInteger(i) && i >= 0 && i < entry.slotCount;
+  return {
+    get slotCount() {
+      return entry.slotCount;
+    },
+    setPoint(i, pos, options) {
+      if (inRange(i)) setOrb(entry.slotStart + i, pos, options);
+    },
+    setPointNdc(i, ndcX, ndcY, options) {
+      if (!inRange(i)) return;
+      ndcToWorldOnViewPlane(ndcX, ndcY, tmpProviderPos);
+      setOrb(entry.slotStart + i, tmpProviderPos, options);
+    },
+    clearPoint(i) {
+      if (inRange(i)) orbTTL[entry.slotStart + i] = 0;
+    },
+    addBox(box) {
+      frameBoxes.push(box);
+    },
+    addMask(mask) {
+      if (mask?.data) frameMasks.push(mask);
+    },
+  };
+}
+
+function addProvider(name, provider, slotStart, slotCount) {
+  const entry = { name, provider, slotStart, slotCount, ctx: null };
+  entry.ctx = createProviderContext(entry);
+  influencerProviders.push(entry);
+  return entry;
+}
+
+function clearProviderSlots(entry) {
+  for (let i = 0; i < entry.slotCount; i++) orbTTL[entry.slotStart + i] = 0;
+}
+
+/**
+ * Registers (or replaces) a provider; returns { slotStart, slotCount } or
+ * null if the name is invalid or the slot pool is exhausted.
+ */
+function registerInfluencer(name, provider) {
+  const key = String(name || "");
+  if (!key || typeof provider?.update !== "function") {
+    console.warn("registerInfluencer(name, provider): provider needs an update(ctx, nowMs) function.");
+    return null;
+  }
+  if (BUILTIN_PROVIDERS.includes(key)) {
+    console.warn(`registerInfluencer: "${key}" is a built-in provider.`);
+    return null;
+  }
+  unregisterInfluencer(key);
+
+  // First fit in the shared pool.
+  const count = Math.max(0, provider.slots | 0);
+  let start = -1;
+  for (let k = 0, run = 0; k < PROVIDER_SLOTS_COUNT && count > 0; k++) {
+    run = providerSlotUsed[k] ? 0 : run + 1;
+    if (run === count) {
+      start = k - count + 1;
+      break;
     }
+  }
+  if (count > 0 && start < 0) {
+    console.warn(`registerInfluencer: no room for ${count} slots (CONFIG.interaction.maxProviderOrbs).`);
+    return null;
+  }
+
+  if (count > 0) providerSlotUsed.fill(1, start, start + count);
+  const entry = addProvider(key, provider, count > 0 ? PROVIDER_SLOTS_START + start : PROVIDER_SLOTS_START, count);
+  clearProviderSlots(entry);
+  return { slotStart: entry.slotStart, slotCount: entry.slotCount };
+}
 
-    b = THREE.MathUtils.clamp(b, 0, 1);
-    buoy[i] = b;
-    iBuoy[i] = b;
+function unregisterInfluencer(name) {
+  const k = influencerProviders.findIndex((e) => e.name === name);
+  if (k < 0 || BUILTIN_PROVIDERS.includes(name)) return false;
+
+  const entry = influencerProviders[k];
+  influencerProviders.splice(k, 1);
+  clearProviderSlots(entry);
+  if (entry.slotCount > 0) {
+    const start = entry.slotStart - PROVIDER_SLOTS_START;
+    providerSlotUsed.fill(0, start, start + entry.slotCount);
   }
+  return true;
+}
 
-  balloons.geometry.getAttribute("iBuoyancy").needsUpdate = true;
+function runInfluencerProviders(nowMs) {
+  frameBoxes.length = 0;
+  frameMasks.length = 0;
+
+  for (let k = 0; k < influencerProviders.length; k++) {
+    const entry = influencerProviders[k];
+    try {
+      entry.provider.update(entry.ctx, nowMs);
+    } catch (err) {
+      console.warn(`Influencer "${entry.name}" failed and was removed:`, err);
+      if (!BUILTIN_PROVIDERS.includes(entry.name)) {
+        unregisterInfluencer(entry.name);
+        k--;
+      }
+    }
+  }
 }
 
+// Built-ins, in slot order.
+const BUILTIN_PROVIDERS = ["pointers", "pose", "hands"];
+
+addProvider("pointers", { update: (ctx) => updatePointerOrbs(ctx) }, POINTER_SLOTS_START, POINTER_SLOTS_COUNT);
+
+addProvider(
+  "pose",
+  {
+    update(ctx, nowMs) {
+      const mode = CONFIG.interaction.trackMode;
+      if (mode === "wrists") addPoseWristOrbPoints(ctx, nowMs);
+      else if (mode === "fullBody") updateFullBodyBoxes(nowMs);
+      else if (mode === "silhouette") updateSilhouetteMask(nowMs);
+      syncPoseSegmentation();
+
+      if (mode === "fullBody") for (const box of poseBoxesNDC) ctx.addBox(box);
+      if (mode === "silhouette") {
+        silhouetteMask.threshold = CONFIG.interaction.silhouette.threshold;
+        ctx.addMask(silhouetteMask);
+      }
+    },
+  },
+  WRIST_SLOTS_START,
+  WRIST_SLOTS_COUNT
+);
+
+addProvider(
+  "hands",
+  {
+    update(ctx, nowMs) {
+      if (CONFIG.interaction.trackMode === "fingers") addFingerOrbPoints(ctx, nowMs);
+    },
+  },
+  FINGER_SLOTS_START,
+  FINGER_SLOTS_COUNT
+);
+
 /* -------------------------------------------------------------------------- */
-/* PHYSICS INTEGRATION                                                         */
+/* INFLUENCERS → CORE                                                          */
 /* -------------------------------------------------------------------------- */
 /**
- * updatePhysics integrates velocities and positions:
- *  - lift increases with buoyancy
- *  - wobble adds lateral motion
- *  - drag stabilizes
+ * gatherInfluencers packs live interaction state into the plain-data shape the
+ * core expects (see applyInfluence in simulation-core.js):
+ *  - every orb with TTL > 0, as world-space points with their velocity (for
+ *    the push model), hover strength and radius overrides
+ *  - the NDC boxes and masks providers added this frame
+ *  - fullBody / silhouette: built-in orbs (including the mouse) are ignored,
+ *    so only the zones count; registered providers' points still apply
  *
- * Respawn rule:
- *  - If balloon leaves the simulation volume (y/x), reset it above view.
- *  - Z is clamped with a bounce-like response for gentle depth confinement.
+ * The influencers object and one point object per orb slot are reused every
+ * step, so nothing is allocated after warm-up.
  */
-function updatePhysics(dt, t) {
-  const { physics } = CONFIG;
+const influencers = { points: [], pointCount: 0, boxes: frameBoxes, masks: frameMasks };
+const orbPoints = Array.from({ length: MAX_ORBS }, () => ({
+  x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0, strength: 1, depthAware: false, radiusNDC: 0, radiusWorld: 0,
+}));
+
+function gatherInfluencers() {
+  const mode = CONFIG.interaction.trackMode;
+  const zonesOnly = mode === "fullBody" || mode === "silhouette";
+  let n = 0;
+
+  for (let j = zonesOnly ? PROVIDER_SLOTS_START : 0; j < MAX_ORBS; j++) {
+    if (orbTTL[j] <= 0) continue;
+    const p = orbPoints[j];
+    const pos = orbPositions[j];
+    const vel = orbVelocities[j];
+    p.x = pos.x;
+    p.y = pos.y;
+    p.z = pos.z;
+    p.vx = vel.x;
+    p.vy = vel.y;
+    p.vz = vel.z;
+    p.strength = orbBuoy[j];
+    p.depthAware = orbDepthAware[j] === 1;
+    p.radiusNDC = orbRadiusNDC[j];
+    p.radiusWorld = orbRadiusWorld[j];
+    influencers.points[n++] = p;
+  }
+
+  influencers.pointCount = n;
+  return influencers;
+}
+
+/* -------------------------------------------------------------------------- */
+/* FORMATION (SHAPE SAMPLING)                                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Turns text, SVG paths and images into normalized formation shapes for the
+ * core (see FORMATION in simulation-core.js):
+ *  - the source is rasterized on an offscreen canvas whose longest side is
+ *    CONFIG.formation.sampleSize
+ *  - opaque pixels (alpha > 50%) are sampled on a regular grid whose step is
+ *    chosen so roughly one target exists per available balloon, but never
+ *    closer than one collision diameter in world space
+ *  - points are centered on the filled bounding box and scaled to [-1, 1]
+ *    (longest side), +v up; image formations also carry per-point colors
+ */
+const shapeCanvas = document.createElement("canvas");
+const shapeCtx = shapeCanvas.getContext("2d", { willReadFrequently: true });
+
+function prepareShapeCanvas(w, h) {
+  const size = CONFIG.formation.sampleSize;
+  const k = size / Math.max(w, h, 1);
+  shapeCanvas.width = Math.max(1, Math.round(w * k));
+  shapeCanvas.height = Math.max(1, Math.round(h * k));
+  shapeCtx.setTransform(1, 0, 0, 1, 0, 0);
+  shapeCtx.clearRect(0, 0, shapeCanvas.width, shapeCanvas.height);
+  shapeCtx.setTransform(k, 0, 0, k, 0, 0);
+  return k;
+}
+
+function sampleShapeCanvas(withColors) {
+  const w = shapeCanvas.width;
+  const h = shapeCanvas.height;
+  const data = shapeCtx.getImageData(0, 0, w, h).data;
+
+  let filled = 0;
+  let minX = w, minY = h, maxX = -1, maxY = -1;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (data[(y * w + x) * 4 + 3] <= 127) continue;
+      filled++;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  if (filled === 0) return null;
+
+  const cx = (minX + maxX) * 0.5;
+  const cy = (minY + maxY) * 0.5;
+  const half = Math.max(maxX - minX, maxY - minY, 1) * 0.5;
+
+  // Denser than one collision diameter and balloons would just jostle.
+  const cc = CONFIG.collisions;
+  const spacing = cc.enabled ? cc.radius * CONFIG.balloons.scale * 2 : 0;
+  const minStep = (spacing * half) / Math.max(1e-3, formationScale(sim));
+
+  const maxPoints = Math.max(1, Math.min(CONFIG.formation.maxPoints ?? sim.count, sim.count));
+  const step = Math.max(1, minStep, Math.sqrt(filled / maxPoints));
+
+  const points = [];
+  const colors = [];
+  for (let y = minY + step * 0.5; y <= maxY; y += step) {
+    for (let x = minX + step * 0.5; x <= maxX; x += step) {
+      const p = ((y | 0) * w + (x | 0)) * 4;
+      if (data[p + 3] <= 127) continue;
+      points.push((x - cx) / half, (cy - y) / half);
+      if (withColors) colors.push(data[p] / 255, data[p + 1] / 255, data[p + 2] / 255);
+    }
+  }
 
-  for (let i = 0; i < N; i++) {
-    const b = buoy[i];
+  return {
+    points: new Float32Array(points),
+    count: points.length / 2,
+    colors: withColors ? new Float32Array(colors) : null,
+  };
+}
+
+function applyFormation(shape) {
+  if (!shape) {
+    console.warn("Formation shape is empty.");
+    return 0;
+  }
+  const n = setFormation(sim, shape);
+  markInstanceAttributesDirty();
+  return n;
+}
 
-    velY[i] += (physics.gravity + physics.liftStrength * b) * dt;
-    velX[i] += Math.sin(t * wSpdX[i] + wPhX[i]) * wAmpX[i] * dt;
-    velZ[i] += Math.cos(t * wSpdZ[i] + wPhZ[i]) * wAmpZ[i] * dt;
+function sampleTextShape(text) {
+  const lines = String(text).split("\n");
+  shapeCtx.font = CONFIG.formation.font;
+  const lineHeight = parseFloat(/(\d+(?:\.\d+)?)px/.exec(CONFIG.formation.font)?.[1] || "200");
+  const w = Math.max(...lines.map((l) => shapeCtx.measureText(l).width), 1) + lineHeight * 0.2;
+  const h = lines.length * lineHeight * 1.1;
+
+  prepareShapeCanvas(w, h);
+  shapeCtx.font = CONFIG.formation.font;
+  shapeCtx.fillStyle = "#fff";
+  shapeCtx.textAlign = "center";
+  shapeCtx.textBaseline = "middle";
+  lines.forEach((line, k) => shapeCtx.fillText(line, w * 0.5, (k + 0.5) * lineHeight * 1.1));
+
+  return sampleShapeCanvas(false);
+}
+
+function samplePathShape(d, viewBox) {
+  const [vx, vy, vw, vh] = viewBox;
+  const k = prepareShapeCanvas(vw, vh);
+  shapeCtx.setTransform(k, 0, 0, k, -vx * k, -vy * k);
+  shapeCtx.fillStyle = "#fff";
+  shapeCtx.fill(new Path2D(d));
+  return sampleShapeCanvas(false);
+}
+
+async function sampleImageShape(url) {
+  const img = new Image();
+  img.crossOrigin = "anonymous";
+  img.src = url;
+  await img.decode();
+
+  const w = img.naturalWidth || img.width;
+  const h = img.naturalHeight || img.height;
+  prepareShapeCanvas(w, h);
+  shapeCtx.drawImage(img, 0, 0, w, h);
+  return sampleShapeCanvas(true);
+}
+
+/* -------------------------------------------------------------------------- */
+/* WIND DEBUG OVERLAY                                                          */
+/* -------------------------------------------------------------------------- */
+/**
+ * A LineSegments grid of arrows sampled from the same field the physics uses
+ * (sampleWind in the core).
+ * Tail vertices are dimmed, heads use the full debug color, which reads as
+ * direction without extra arrowhead geometry.
+ *
+ * The grid is sized from CONFIG.wind.debug at init; it spans the visible
+ * frustum (bounds) and is only updated while visible.
+ */
+const windDebugCfg = CONFIG.wind.debug;
+const WIND_ARROWS = windDebugCfg.columns * windDebugCfg.rows * windDebugCfg.slices;
 
-    velX[i] *= physics.horizontalDrag;
-    velY[i] *= physics.verticalDrag;
-    velZ[i] *= physics.horizontalDrag;
+const windSample = new THREE.Vector3();
+const windArrowPos = new Float32Array(WIND_ARROWS * 2 * 3);
+const windArrowCol = new Float32Array(WIND_ARROWS * 2 * 3);
 
-    velY[i] = THREE.MathUtils.clamp(velY[i], -physics.maxVerticalSpeed, physics.maxVerticalSpeed);
+const windArrowGeo = new THREE.BufferGeometry();
+windArrowGeo.setAttribute("position", new THREE.BufferAttribute(windArrowPos, 3).setUsage(THREE.DynamicDrawUsage));
+windArrowGeo.setAttribute("color", new THREE.BufferAttribute(windArrowCol, 3));
 
-    posX[i] += velX[i] * dt;
-    posY[i] += velY[i] * dt;
-    posZ[i] += velZ[i] * dt;
+const windArrows = new THREE.LineSegments(
+  windArrowGeo,
+  new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, opacity: 0.85, depthWrite: false })
+);
+windArrows.frustumCulled = false;
+windArrows.visible = false;
+windArrows.renderOrder = 998;
+scene.add(windArrows);
 
-    rotY[i] += angY[i] * dt;
+{
+  const head = new THREE.Color(windDebugCfg.color);
+  for (let a = 0; a < WIND_ARROWS; a++) {
+    const o = a * 6;
+    windArrowCol[o + 0] = head.r * 0.25;
+    windArrowCol[o + 1] = head.g * 0.25;
+    windArrowCol[o + 2] = head.b * 0.25;
+    windArrowCol[o + 3] = head.r;
+    windArrowCol[o + 4] = head.g;
+    windArrowCol[o + 5] = head.b;
+  }
+}
 
-    if (
-      posY[i] < bounds.yOffBottom ||
-      posY[i] > bounds.ySpawnTop ||
-      posX[i] < -bounds.xOff ||
-      posX[i] > bounds.xOff
-    ) {
-      resetInstance(i, false);
+function updateWindDebug() {
+  windArrows.visible = !!windDebugCfg.visible;
+  if (!windArrows.visible) return;
+
+  const { columns, rows, slices, arrowScale } = windDebugCfg;
+  let a = 0;
+
+  for (let s = 0; s < slices; s++) {
+    const z = slices > 1 ? THREE.MathUtils.lerp(bounds.zMin, bounds.zMax, s / (slices - 1)) : 0;
+    for (let r = 0; r < rows; r++) {
+      const y = THREE.MathUtils.lerp(bounds.yMin, bounds.yMax, (r + 0.5) / rows);
+      for (let c = 0; c < columns; c++) {
+        const x = THREE.MathUtils.lerp(-bounds.xVisible, bounds.xVisible, (c + 0.5) / columns);
+        sampleWind(sim, x, y, z, windSample);
+
+        const o = a * 6;
+        windArrowPos[o + 0] = x;
+        windArrowPos[o + 1] = y;
+        windArrowPos[o + 2] = z;
+        windArrowPos[o + 3] = x + windSample.x * arrowScale;
+        windArrowPos[o + 4] = y + windSample.y * arrowScale;
+        windArrowPos[o + 5] = z + windSample.z * arrowScale;
+        a++;
+      }
     }
+  }
+
+  windArrowGeo.attributes.position.needsUpdate = true;
+}
+
+/* -------------------------------------------------------------------------- */
+/* OBSTACLE DEBUG OVERLAY                                                      */
+/* -------------------------------------------------------------------------- */
+/**
+ * Wireframes for CONFIG.obstacles.list (see OBSTACLES in the core):
+ *  - box: 12 edges
+ *  - sphere: three great circles
+ *  - screenRect: its NDC outline, unprojected onto the viewCenter depth
+ *
+ * The buffer grows with the list and is rebuilt every frame while visible,
+ * so runtime additions and camera changes show up immediately.
+ */
+const OBSTACLE_CIRCLE_SEGMENTS = 32;
+const obstacleDebugCfg = CONFIG.obstacles.debug;
+
+let obstacleLinePos = new Float32Array(0);
+const obstacleLineGeo = new THREE.BufferGeometry();
+const obstacleLines = new THREE.LineSegments(
+  obstacleLineGeo,
+  new THREE.LineBasicMaterial({
+    color: obstacleDebugCfg.color,
+    transparent: true,
+    opacity: obstacleDebugCfg.opacity,
+    depthTest: false,
+  })
+);
+obstacleLines.frustumCulled = false;
+obstacleLines.renderOrder = 10;
+obstacleLines.visible = false;
+scene.add(obstacleLines);
+
+const tmpObstacleA = new THREE.Vector3();
+const tmpObstacleB = new THREE.Vector3();
+let obstacleLineCount = 0;
+
+function pushObstacleLine(ax, ay, az, bx, by, bz) {
+  const o = obstacleLineCount * 6;
+  obstacleLinePos[o + 0] = ax;
+  obstacleLinePos[o + 1] = ay;
+  obstacleLinePos[o + 2] = az;
+  obstacleLinePos[o + 3] = bx;
+  obstacleLinePos[o + 4] = by;
+  obstacleLinePos[o + 5] = bz;
+  obstacleLineCount++;
+}
 
-    if (posZ[i] < bounds.zMin) {
-      posZ[i] = bounds.zMin;
-      velZ[i] = Math.abs(velZ[i]) * 0.6;
-    } else if (posZ[i] > bounds.zMax) {
-      posZ[i] = bounds.zMax;
-      velZ[i] = -Math.abs(velZ[i]) * 0.6;
+function obstacleLineBudget(o) {
+  if (o.type === "box") return 12;
+  if (o.type === "sphere") return OBSTACLE_CIRCLE_SEGMENTS * 3;
+  if (o.type === "screenRect") return 4;
+  return 0;
+}
+
+function drawObstacleBox(o) {
+  const { center: c, size } = o;
+  const hx = size.x * 0.5, hy = size.y * 0.5, hz = size.z * 0.5;
+  for (const sy of [-1, 1]) {
+    for (const sz of [-1, 1]) pushObstacleLine(c.x - hx, c.y + sy * hy, c.z + sz * hz, c.x + hx, c.y + sy * hy, c.z + sz * hz);
+  }
+  for (const sx of [-1, 1]) {
+    for (const sz of [-1, 1]) pushObstacleLine(c.x + sx * hx, c.y - hy, c.z + sz * hz, c.x + sx * hx, c.y + hy, c.z + sz * hz);
+  }
+  for (const sx of [-1, 1]) {
+    for (const sy of [-1, 1]) pushObstacleLine(c.x + sx * hx, c.y + sy * hy, c.z - hz, c.x + sx * hx, c.y + sy * hy, c.z + hz);
+  }
+}
+
+function drawObstacleSphere(o) {
+  const { center: c, radius: r } = o;
+  for (let axis = 0; axis < 3; axis++) {
+    for (let k = 0; k < OBSTACLE_CIRCLE_SEGMENTS; k++) {
+      const a0 = (k / OBSTACLE_CIRCLE_SEGMENTS) * Math.PI * 2;
+      const a1 = ((k + 1) / OBSTACLE_CIRCLE_SEGMENTS) * Math.PI * 2;
+      const u0 = Math.cos(a0) * r, v0 = Math.sin(a0) * r;
+      const u1 = Math.cos(a1) * r, v1 = Math.sin(a1) * r;
+      if (axis === 0) pushObstacleLine(c.x + u0, c.y + v0, c.z, c.x + u1, c.y + v1, c.z);
+      else if (axis === 1) pushObstacleLine(c.x + u0, c.y, c.z + v0, c.x + u1, c.y, c.z + v1);
+      else pushObstacleLine(c.x, c.y + u0, c.z + v0, c.x, c.y + u1, c.z + v1);
     }
+  }
+}
 
-    writeMatrices(i);
+function drawObstacleScreenRect(o) {
+  const depth = tmpObstacleA.copy(viewCenter).project(camera).z;
+  const corners = [
+    [o.minX, o.minY],
+    [o.maxX, o.minY],
+    [o.maxX, o.maxY],
+    [o.minX, o.maxY],
+  ];
+  for (let k = 0; k < 4; k++) {
+    const [ax, ay] = corners[k];
+    const [bx, by] = corners[(k + 1) % 4];
+    tmpObstacleA.set(ax, ay, depth).unproject(camera);
+    tmpObstacleB.set(bx, by, depth).unproject(camera);
+    pushObstacleLine(tmpObstacleA.x, tmpObstacleA.y, tmpObstacleA.z, tmpObstacleB.x, tmpObstacleB.y, tmpObstacleB.z);
   }
+}
 
-  balloons.instanceMatrix.needsUpdate = true;
-  gondolas.instanceMatrix.needsUpdate = true;
+function updateObstacleDebug() {
+  const list = CONFIG.obstacles.list;
+  obstacleLines.visible = !!obstacleDebugCfg.visible && list.length > 0;
+  if (!obstacleLines.visible) return;
+
+  let need = 0;
+  for (const o of list) need += obstacleLineBudget(o);
+  if (obstacleLinePos.length < need * 6) {
+    obstacleLinePos = new Float32Array(need * 6);
+    obstacleLineGeo.setAttribute(
+      "position",
+      new THREE.BufferAttribute(obstacleLinePos, 3).setUsage(THREE.DynamicDrawUsage)
+    );
+  }
+
+  obstacleLineCount = 0;
+  for (const o of list) {
+    if (o.type === "box") drawObstacleBox(o);
+    else if (o.type === "sphere") drawObstacleSphere(o);
+    else if (o.type === "screenRect") drawObstacleScreenRect(o);
+  }
+
+  obstacleLineGeo.setDrawRange(0, obstacleLineCount * 2);
+  obstacleLineGeo.attributes.position.needsUpdate = true;
+}
+
+let nextObstacleId = 1;
+
+/**
+ * Validates an obstacle definition (CONFIG list or SIM.addObstacle) and fills
+ * defaults. Returns a fresh plain object, or null (with a warning) when unusable.
+ */
+function normalizeObstacle(def) {
+  const type = def?.type;
+  if (!OBSTACLE_TYPES.includes(type)) {
+    console.warn("Unknown obstacle type:", type, "expected one of", OBSTACLE_TYPES.join(", "));
+    return null;
+  }
+
+  const num = (v, fallback) => (Number.isFinite(Number(v)) ? Number(v) : fallback);
+  const vec = (v, fallback) => ({ x: num(v?.x, fallback), y: num(v?.y, fallback), z: num(v?.z, fallback) });
+  const id = def.id ?? `obstacle-${nextObstacleId++}`;
+
+  if (type === "box") return { id, type, center: vec(def.center, 0), size: vec(def.size, 1) };
+  if (type === "sphere") return { id, type, center: vec(def.center, 0), radius: Math.max(0, num(def.radius, 1)) };
+
+  const minX = num(def.minX, -0.1), maxX = num(def.maxX, 0.1);
+  const minY = num(def.minY, -0.1), maxY = num(def.maxY, 0.1);
+  return {
+    id,
+    type,
+    minX: Math.min(minX, maxX),
+    maxX: Math.max(minX, maxX),
+    minY: Math.min(minY, maxY),
+    maxY: Math.max(minY, maxY),
+  };
 }
 
+CONFIG.obstacles.list = CONFIG.obstacles.list.map(normalizeObstacle).filter(Boolean);
+
 /* -------------------------------------------------------------------------- */
 /* MAIN LOOP                                                                   */
 /* -------------------------------------------------------------------------- */
 /**
  * Frame order matters:
  *  1) Update shader uniforms from CONFIG (runtime tuning).
- *  2) Decay orb TTL (removes stale tracking points).
- *  3) Update tracking inputs based on trackMode.
- *  4) Update mouse orb (independent).
- *  5) Smooth orbs + update orb sprites.
- *  6) Apply interaction influence to buoyancy.
- *  7) Integrate physics + update instance matrices.
- *  8) Render.
+ *  2) Run influencer providers (pointers, tracking by trackMode, registered
+ *     sources); they write orb targets and this frame's zones.
+ *  3) Run fixed simulation steps for the elapsed time (see runSimulationStep).
+ *  4) Update orb sprites, instance matrices and debug overlays.
+ *  5) Render.
+ *
+ * Inputs only write orb targets; everything that changes balloon state runs
+ * inside runSimulationStep on the fixed clock. That is what makes a seeded run
+ * reproducible: same seed + same per-step inputs = same balloon states.
  */
 let lastTime = performance.now();
+let simAccumulator = 0;
+
+/**
+ * One fixed simulation step:
+ *  1) Decay orb TTL (removes stale tracking points).
+ *  2) Smooth orbs toward their targets; apply pinch grabs.
+ *  3) Step the core: influence → buoyancy, wind, physics.
+ */
+function runSimulationStep(dt) {
+  for (let i = 0; i < MAX_ORBS; i++) orbTTL[i] = Math.max(0, orbTTL[i] - dt);
+
+  const alpha = 1.0 - Math.pow(1.0 - CONFIG.interaction.orbSmoothing, Math.max(1, dt * 60));
+  smoothOrbs(alpha, dt);
+  applyHandGrabs(dt);
+
+  stepSimulation(sim, dt, gatherInfluencers());
+  instBuoyAttr.needsUpdate = true;
+}
+
+/**
+ * Reseeds the core and rebuilds every balloon from scratch (positions, tints,
+ * patterns, wind gust state), so the run that follows is reproducible.
+ */
+function restartSimulation(seed) {
+  resetSimulation(sim, seed);
+  simAccumulator = 0;
+
+  syncInstanceMatrices();
+  markInstanceAttributesDirty();
+}
+
+/**
+ * Changes the active balloon count live. The core grows/keeps its arrays;
+ * when capacity grew, the InstancedMeshes + attributes are rebuilt around the
+ * new arrays, otherwise only the draw count changes.
+ */
+function setBalloonCount(count) {
+  const grew = setCoreBalloonCount(sim, count);
+
+  if (grew) {
+    buildInstancedMeshes();
+  } else {
+    balloons.count = sim.count;
+    gondolas.count = sim.count;
+  }
+
+  syncInstanceMatrices();
+  markInstanceAttributesDirty();
+  return sim.count;
+}
 
 function animate(now) {
-  const dt = Math.min((now - lastTime) / 1000, 0.05) || 0.016;
+  const frameDt = Math.max(0, (now - lastTime) / 1000) || 0;
   lastTime = now;
-  const t = now * 0.001;
 
   if (shaderUniforms) {
     shaderUniforms.uBaseEm.value = CONFIG.appearance.baseEmissive;
@@ -1605,21 +3187,27 @@ function animate(now) {
     shaderUniforms.uFlameMix.value = CONFIG.appearance.flameMix;
   }
 
-  for (let i = 0; i < MAX_ORBS; i++) orbTTL[i] = Math.max(0, orbTTL[i] - dt);
+  syncVideoMapping();
+  runInfluencerProviders(now);
 
-  const mode = CONFIG.interaction.trackMode;
-  if (mode === "wrists") addPoseWristOrbPoints(now);
-  else if (mode === "fingers") addFingerOrbPoints(now);
-  else if (mode === "fullBody") updateFullBodyBoxes(now);
+  const step = Math.max(1e-3, CONFIG.physics.fixedStep);
+  const maxSteps = Math.max(1, CONFIG.physics.maxSubSteps | 0);
 
-  updateMouseOrb();
+  simAccumulator += frameDt;
+  let steps = 0;
+  while (simAccumulator >= step && steps < maxSteps) {
+    runSimulationStep(step);
+    simAccumulator -= step;
+    steps++;
+  }
+  // After a stall (tab switch, debugger) drop the backlog instead of spiralling.
+  if (steps === maxSteps) simAccumulator = Math.min(simAccumulator, step);
 
-  const alpha = 1.0 - Math.pow(1.0 - CONFIG.interaction.orbSmoothing, Math.max(1, dt * 60));
-  smoothOrbs(alpha);
   updateOrbSprites();
-
-  applyOrbInfluence(dt);
-  updatePhysics(dt, t);
+  syncInstanceMatrices();
+  updateGroundVisuals();
+  updateWindDebug();
+  updateObstacleDebug();
 
   renderer.render(scene, camera);
   requestAnimationFrame(animate);
@@ -1634,12 +3222,15 @@ requestAnimationFrame(animate);
  *  - camera aspect + projection
  *  - renderer size
  *  - bounds derived from the new frustum
+ *  - the video CSS mirror (media queries may change it); the cover mapping
+ *    itself is recomputed every frame
  */
 window.addEventListener("resize", () => {
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
-  updateVisibleBounds();
+  syncSimulationView();
+  refreshVideoCssMirror();
 });
 
 /* -------------------------------------------------------------------------- */
@@ -1663,16 +3254,243 @@ window.SIM = {
     CONFIG.balloons.scale = Math.max(0.01, v);
     tmpScale.setScalar(CONFIG.balloons.scale);
   },
+  enableCollisions(v) {
+    CONFIG.collisions.enabled = !!v;
+  },
+  setCollisionRestitution(v) {
+    CONFIG.collisions.restitution = THREE.MathUtils.clamp(Number(v) || 0, 0, 1);
+  },
+  setSeparationRadius(v) {
+    CONFIG.collisions.radius = Math.max(0, Number(v) || 0);
+  },
+  enableFlocking(v) {
+    CONFIG.flocking.enabled = !!v;
+  },
+  setFlockingWeights(separation, alignment, cohesion) {
+    const w = CONFIG.flocking.weights;
+    if (Number.isFinite(Number(separation))) w.separation = Math.max(0, Number(separation));
+    if (Number.isFinite(Number(alignment))) w.alignment = Math.max(0, Number(alignment));
+    if (Number.isFinite(Number(cohesion))) w.cohesion = Math.max(0, Number(cohesion));
+  },
+  setFlockingRadius(neighborRadius, separationRadius) {
+    CONFIG.flocking.neighborRadius = Math.max(0.1, Number(neighborRadius) || 0.1);
+    if (separationRadius !== undefined) CONFIG.flocking.separationRadius = Math.max(0, Number(separationRadius) || 0);
+  },
+  /**
+   * What orbs mean to the flock: "attract", "predator" or "none".
+   */
+  setOrbFlockRole(mode, strength) {
+    CONFIG.flocking.orbs.mode = mode === "predator" || mode === "none" ? mode : "attract";
+    if (strength !== undefined) CONFIG.flocking.orbs.strength = Math.max(0, Number(strength) || 0);
+  },
+  /**
+   * Formation mode: balloons fly into the shape and hold it until
+   * SIM.release(). Each call returns how many balloons were assigned.
+   * formText supports "\n" line breaks; formPath takes SVG path data plus its
+   * viewBox [x, y, w, h]; formImage samples the image alpha (and its colors
+   * as tints when CONFIG.formation.useImageColors) and resolves async.
+   */
+  formText(text) {
+    return applyFormation(sampleTextShape(text));
+  },
+  formPath(d, viewBox = [0, 0, 100, 100]) {
+    return applyFormation(samplePathShape(d, viewBox));
+  },
+  async formImage(url) {
+    try {
+      return applyFormation(await sampleImageShape(url));
+    } catch (err) {
+      console.warn("Formation image failed to load:", url, err);
+      return 0;
+    }
+  },
+  release() {
+    releaseFormation(sim);
+    markInstanceAttributesDirty();
+  },
+  /**
+   * Moving orbs shove/herd balloons (see CONFIG.interaction.push).
+   */
+  enableOrbPush(v) {
+    CONFIG.interaction.push.enabled = !!v;
+  },
+  setOrbPush(strength, radiusNDC, falloffPower) {
+    const push = CONFIG.interaction.push;
+    if (Number.isFinite(Number(strength))) push.strength = Math.max(0, Number(strength));
+    if (Number.isFinite(Number(radiusNDC))) push.radiusNDC = Math.max(0.001, Number(radiusNDC));
+    if (Number.isFinite(Number(falloffPower))) push.falloffPower = Math.max(0, Number(falloffPower));
+  },
+  /**
+   * Pinch-to-grab in fingers mode; turning it off drops anything held.
+   */
+  enableGrab(v) {
+    CONFIG.interaction.grab.enabled = !!v;
+    if (!v) releaseAllGrabs();
+  },
+  setGrabThrow(throwScale, maxThrowSpeed) {
+    const grab = CONFIG.interaction.grab;
+    if (Number.isFinite(Number(throwScale))) grab.throwScale = Math.max(0, Number(throwScale));
+    if (Number.isFinite(Number(maxThrowSpeed))) grab.maxThrowSpeed = Math.max(0, Number(maxThrowSpeed));
+  },
+  /**
+   * "gamey" (buoyancy level) or "thermal" (envelope temperature, burner fuel,
+   * altitude-dependent air; see CONFIG.thermal).
+   */
+  setPhysicsModel(model) {
+    CONFIG.physics.model = model === "thermal" ? "thermal" : "gamey";
+  },
+  /**
+   * Envelope lean into acceleration/wind plus the gondola pendulum; off keeps
+   * balloons upright with rigid baskets.
+   */
+  enableSway(v) {
+    CONFIG.sway.enabled = !!v;
+  },
+  setSwayStrength(accelLean, windLean) {
+    if (Number.isFinite(Number(accelLean))) CONFIG.sway.accelLean = Math.max(0, Number(accelLean));
+    if (Number.isFinite(Number(windLean))) CONFIG.sway.windLean = Math.max(0, Number(windLean));
+  },
+  setGondolaSwing(length, damping) {
+    if (Number.isFinite(Number(length))) CONFIG.gondola.swing.length = Math.max(0.05, Number(length));
+    if (Number.isFinite(Number(damping))) CONFIG.gondola.swing.damping = Math.max(0, Number(damping));
+  },
+  /**
+   * Ground plane: sinking balloons land, tip over, deflate and relaunch
+   * instead of respawning.
+   */
+  enableGround(v) {
+    CONFIG.ground.enabled = !!v;
+  },
+  /**
+   * Ties the first n balloons to ground anchors (clamped to
+   * CONFIG.tethers.maxCount); 0 releases all of them.
+   */
+  setTetherCount(n) {
+    CONFIG.tethers.count = THREE.MathUtils.clamp(Math.floor(Number(n) || 0), 0, CONFIG.tethers.maxCount);
+    setupTethers(sim, 0);
+  },
+  /**
+   * Edge rule per axis ("x" | "y" | "z" | "all"): one of BOUNDARY_MODES
+   * (respawn, wrap, bounce, soft, despawn). options may override
+   * restitution / softWidth / softStrength.
+   */
+  setBoundaryMode(axis, mode, options = {}) {
+    if (!BOUNDARY_MODES.includes(mode)) {
+      console.warn("Unknown boundary mode:", mode, "expected one of", BOUNDARY_MODES.join(", "));
+      return;
+    }
+    const axes = axis === "all" ? ["x", "y", "z"] : [axis];
+    for (const a of axes) {
+      const edge = CONFIG.boundaries[a];
+      if (!edge) continue;
+      edge.mode = mode;
+      for (const key of ["restitution", "softWidth", "softStrength"]) {
+        if (Number.isFinite(Number(options[key]))) edge[key] = Number(options[key]);
+      }
+    }
+  },
+  setDespawnRefill(rate, burst) {
+    CONFIG.boundaries.refill.rate = Math.max(0, Number(rate) || 0);
+    if (burst !== undefined) CONFIG.boundaries.refill.burst = Math.max(1, Number(burst) || 1);
+  },
+  /**
+   * "top" | "bottom" | "sides" | "box"; for "box" pass
+   * { x: { min, max }, y: { min, max }, z: { min, max } } in world units.
+   */
+  setSpawnRegion(region, box) {
+    CONFIG.spawn.region = region;
+    if (box) CONFIG.spawn.box = { ...CONFIG.spawn.box, ...box };
+  },
+  /**
+   * Static colliders (see CONFIG.obstacles):
+   *   SIM.addObstacle({ type: "box", center: { x, y, z }, size: { x, y, z } })
+   *   SIM.addObstacle({ type: "sphere", center: { x, y, z }, radius })
+   *   SIM.addObstacle({ type: "screenRect", minX, maxX, minY, maxY })  // NDC
+   * Returns the obstacle id (pass def.id to choose one), or null if invalid.
+   */
+  addObstacle(def) {
+    const o = normalizeObstacle(def);
+    if (!o) return null;
+    CONFIG.obstacles.list.push(o);
+    return o.id;
+  },
+  removeObstacle(id) {
+    const list = CONFIG.obstacles.list;
+    const k = list.findIndex((o) => o.id === id);
+    if (k >= 0) list.splice(k, 1);
+    return k >= 0;
+  },
+  clearObstacles() {
+    CONFIG.obstacles.list.length = 0;
+  },
+  enableObstacles(v) {
+    CONFIG.obstacles.enabled = !!v;
+  },
+  showObstacles(v) {
+    CONFIG.obstacles.debug.visible = !!v;
+  },
+  enableWind(v) {
+    CONFIG.wind.enabled = !!v;
+  },
+  /**
+   * Global wind controls: direction rotates every layer (degrees in XZ),
+   * strength scales the whole field (layers + turbulence + gusts).
+   */
+  setWind(directionDeg, strength) {
+    if (Number.isFinite(Number(directionDeg))) CONFIG.wind.direction = Number(directionDeg);
+    if (strength !== undefined) CONFIG.wind.strength = Math.max(0, Number(strength) || 0);
+  },
+  setWindLayer(index, layer) {
+    const layers = CONFIG.wind.layers;
+    const i = index | 0;
+    if (i < 0 || i >= layers.length) {
+      console.warn(`setWindLayer: no layer ${index} (CONFIG.wind.layers has ${layers.length}).`);
+      return;
+    }
+    layers[i] = { ...layers[i], ...layer };
+    layers.sort((a, b) => a.altitude - b.altitude);
+  },
+  setTurbulence(strength, scale) {
+    CONFIG.wind.turbulence.strength = Math.max(0, Number(strength) || 0);
+    if (scale !== undefined) CONFIG.wind.turbulence.scale = Math.max(0.001, Number(scale) || 0.001);
+  },
+  triggerGust(strength) {
+    startGust(sim, strength);
+  },
+  showWindField(v) {
+    CONFIG.wind.debug.visible = !!v;
+  },
+  /**
+   * Reseeds and restarts the simulation. With the same seed, viewport and
+   * input stream, two runs produce the same balloon states.
+   */
+  setSeed(seed) {
+    CONFIG.seed = seed == null ? null : Number(seed) >>> 0;
+    restartSimulation(CONFIG.seed);
+  },
+  getSeed() {
+    return sim.seed;
+  },
+  /**
+   * Scales the swarm live (clamped to CONFIG.balloons.maxCount). Returns the
+   * applied count.
+   */
+  setBalloonCount(n) {
+    return setBalloonCount(n);
+  },
   setBalloonCountNote() {
-    console.warn("Balloon count is fixed at init. Change CONFIG.balloons.count and reload.");
+    console.warn("Balloon count can change live: SIM.setBalloonCount(n).");
   },
 
   setTrackMode(mode) {
     const m = String(mode || "wrists");
     CONFIG.interaction.trackMode = m;
+    if (recording && !RECORDABLE_MODES.includes(m)) {
+      console.warn(`Recording continues, but "${m}" frames are not captured.`);
+    }
 
-    // Defaults by mode; fullBody forces no orbs.
-    if (m === "fullBody") CONFIG.interaction.orbsVisible = false;
+    // Defaults by mode; fullBody and silhouette force no orbs.
+    if (m === "fullBody" || m === "silhouette") CONFIG.interaction.orbsVisible = false;
     if (m === "wrists") CONFIG.interaction.orbsVisible = true;
     if (m === "fingers") CONFIG.interaction.orbsVisible = true;
 
@@ -1681,6 +3499,170 @@ window.SIM = {
   showOrbs(v) {
     CONFIG.interaction.orbsVisible = !!v;
   },
+  /**
+   * Influencer providers (see INFLUENCER PROVIDERS): provider is
+   * { slots, update(ctx, nowMs) } and runs every frame; returns its slot
+   * range or null. listInfluencers() includes the built-ins.
+   */
+  registerInfluencer(name, provider) {
+    return registerInfluencer(name, provider);
+  },
+  unregisterInfluencer(name) {
+    return unregisterInfluencer(name);
+  },
+  listInfluencers() {
+    return influencerProviders.map((e) => ({ name: e.name, slotStart: e.slotStart, slotCount: e.slotCount }));
+  },
+  /**
+   * Identity events: "personenter" / "personleave" / "handenter" /
+   * "handleave", called with { id, slot }. on() returns an unsubscribe fn.
+   */
+  on(type, fn) {
+    if (typeof fn !== "function") return () => {};
+    if (!trackingListeners.has(type)) trackingListeners.set(type, new Set());
+    trackingListeners.get(type).add(fn);
+    return () => trackingListeners.get(type)?.delete(fn);
+  },
+  off(type, fn) {
+    trackingListeners.get(type)?.delete(fn);
+  },
+  trackedIds() {
+    return {
+      people: Array.from(poseTracker.ids).filter((id) => id >= 0),
+      hands: Array.from(handTracker.ids).filter((id) => id >= 0),
+    };
+  },
+  /**
+   * Manual landmark → screen correction (see VIDEO → SCREEN MAPPING), e.g.
+   * setCalibration({ offsetX: 0.02, scaleY: 1.05 }). saveCalibration()
+   * persists it in localStorage; resetCalibration() restores CONFIG defaults.
+   */
+  setCalibration(params) {
+    setCalibration(params);
+  },
+  saveCalibration() {
+    return saveCalibration();
+  },
+  resetCalibration() {
+    resetCalibration();
+  },
+  /**
+   * Depth-aware orbs (see DEPTH FROM LANDMARKS). To calibrate, hold a hand
+   * (or stand) at the nearest spot and call calibrateDepth("near"), then at
+   * the farthest and call calibrateDepth("far"); saveCalibration() keeps it.
+   */
+  enableDepth(v) {
+    CONFIG.interaction.depth.enabled = !!v;
+  },
+  calibrateDepth(end) {
+    return calibrateDepth(end);
+  },
+  /**
+   * Orb filter: "lerp" | "oneEuro" | "kalman" (see ORB FILTERS). params are
+   * merged into that filter's CONFIG block, e.g. { beta: 0.8 } for oneEuro.
+   */
+  setOrbFilter(type, params) {
+    const filter = CONFIG.interaction.orbFilter;
+    if (!["lerp", "oneEuro", "kalman"].includes(type)) {
+      console.warn(`Unknown orb filter "${type}". Use "lerp", "oneEuro" or "kalman".`);
+      return;
+    }
+    filter.type = type;
+    if (params && filter[type]) Object.assign(filter[type], params);
+    resetAllOrbFilters();
+  },
+
+  /**
+   * Video source for background + tracking (see VIDEO SOURCE). All return a
+   * promise resolving to true once playing.
+   */
+  useCamera() {
+    return useVideoSource({ kind: "camera" });
+  },
+  /**
+   * Camera devices (see CAMERA DEVICES). listCameras() resolves to
+   * [{ deviceId, label }]; labels are blank until permission is granted.
+   */
+  listCameras() {
+    return listCameras();
+  },
+  useCameraDevice(deviceId) {
+    return useCameraDevice(deviceId);
+  },
+  // Toggles front ("user") / back ("environment") cameras on phones/tablets.
+  switchCamera() {
+    const cam = CONFIG.videoSource.camera;
+    cam.facingMode = cam.facingMode === "environment" ? "user" : "environment";
+    cam.deviceId = "";
+    return useVideoSource({ kind: "camera" });
+  },
+  setCameraResolution(width, height, frameRate) {
+    const cam = CONFIG.videoSource.camera;
+    if (Number(width) > 0) cam.width = Number(width);
+    if (Number(height) > 0) cam.height = Number(height);
+    if (Number(frameRate) > 0) cam.frameRate = Number(frameRate);
+    if (videoSourceKind === "camera") return useVideoSource({ kind: "camera" });
+    return Promise.resolve(false);
+  },
+  disableCamera() {
+    disableCamera();
+  },
+  useVideoUrl(url) {
+    return useVideoSource({ kind: "url", url });
+  },
+  useVideoFile(file) {
+    return useVideoSource({ kind: "file", file });
+  },
+  /**
+   * Opens a file chooser. Browsers only allow this from a user gesture, so
+   * call it from a click handler; dropping a file onto the page always works.
+   */
+  pickVideoFile() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "video/*";
+    input.addEventListener("change", () => {
+      if (input.files?.[0]) useVideoSource({ kind: "file", file: input.files[0] });
+    });
+    input.click();
+  },
+  pauseVideo() {
+    $video.pause();
+  },
+  playVideo() {
+    return $video.play();
+  },
+  seekVideo(seconds) {
+    if (videoSourceKind === "camera" || videoSourceKind === "none") {
+      console.warn("seekVideo: only video URLs and files can seek.");
+      return;
+    }
+    const t = Number(seconds);
+    if (!Number.isFinite(t)) return;
+    $video.currentTime = THREE.MathUtils.clamp(t, 0, $video.duration || 0);
+  },
+  setVideoLoop(v) {
+    CONFIG.videoSource.loop = !!v;
+    if (videoSourceKind !== "camera") $video.loop = !!v;
+  },
+  /**
+   * Landmark sessions (see TRACKING RECORD / REPLAY). startRecording returns
+   * false in silhouette mode; stopRecording returns the JSON string;
+   * playRecording(json, { loop }) replays it instead of the camera and models
+   * until it ends or stopReplay() is called.
+   */
+  startRecording() {
+    return startRecording();
+  },
+  stopRecording() {
+    return stopRecording();
+  },
+  playRecording(json, options) {
+    return playRecording(json, options);
+  },
+  stopReplay() {
+    stopReplay();
+  },
 
   setOverlayOpacity(v) {
     CONFIG.cameraOverlay.opacity = THREE.MathUtils.clamp(Number(v) || 0, 0, 1);
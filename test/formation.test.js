@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSimulationState, grabBalloon, setFormation } from "../simulation-core.js";
+import { testConfig, testView } from "./helpers.js";
+
+test("setFormation leaves held balloons out", () => {
+  const config = testConfig((c) => {
+    c.balloons.count = 20;
+  });
+  const state = createSimulationState(config, { seed: 4, view: testView(config) });
+  grabBalloon(state, 3);
+
+  // More targets than balloons: every free balloon is formed.
+  const points = new Float32Array(64).map((_, k) => (k % 2 ? 0.5 : k / 64));
+  const formed = setFormation(state, { points });
+
+  assert.equal(formed, state.count - 1);
+  assert.equal(state.formed[3], 0);
+  assert.equal(state.held[3], 1);
+});
@@ -0,0 +1,29 @@
+/**
+ * Shared fixtures for the headless tests: a deep-copied CONFIG (tests tweak
+ * it freely) and a plain view matching CONFIG.camera3d, with the
+ * view-projection matrix built by hand so no Three.js is needed.
+ */
+import { CONFIG } from "../config.js";
+
+export function testConfig(overrides) {
+  const config = structuredClone(CONFIG);
+  overrides?.(config);
+  return config;
+}
+
+// Column-major perspective × lookAt for a camera on +z looking down -z.
+export function testView(config, aspect = 16 / 9) {
+  const { fov, near, far, position: cp, lookAt: vc } = config.camera3d;
+  const f = 1 / Math.tan((fov * Math.PI) / 360);
+  const a = (far + near) / (near - far);
+  const b = (2 * far * near) / (near - far);
+
+  const viewProjection = [
+    f / aspect, 0, 0, 0,
+    0, f, 0, 0,
+    0, 0, a, -1,
+    (-cp.x * f) / aspect, -cp.y * f, -cp.z * a + b, cp.z,
+  ];
+
+  return { cameraPosition: { ...cp }, viewCenter: { ...vc }, fov, aspect, viewProjection };
+}
@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSimulationState, applyInfluence, projectToNDC } from "../simulation-core.js";
+import { testConfig, testView } from "./helpers.js";
+
+/**
+ * applyInfluence bins points and boxes into an NDC grid; the hovered set must
+ * match the all-pairs test exactly, whatever the grid size. Balloons sit on a
+ * lattice spanning past the screen edges, shapes straddle cell edges (NDC
+ * multiples of 2 / n) and some lie fully off-screen.
+ */
+const aspect = 16 / 9;
+
+function setup(gridCells) {
+  const config = testConfig((c) => {
+    c.balloons.count = 2500;
+    c.randomLight.rate = 0;
+    c.physics.model = "gamey";
+    c.interaction.useScreenSpaceHit = true;
+    c.interaction.hoverGridCells = gridCells;
+    c.interaction.depth.tolerance = 4;
+  });
+  const view = testView(config, aspect);
+  const state = createSimulationState(config, { seed: 1, view });
+
+  // 50 × 50 lattice over NDC -1.4..1.4 at mixed depths.
+  const cp = config.camera3d.position;
+  const f = 1 / Math.tan((config.camera3d.fov * Math.PI) / 360);
+  for (let i = 0; i < state.count; i++) {
+    const z = ((i * 7) % 11) - 5;
+    const d = cp.z - z;
+    const nx = -1.4 + (2.8 * (i % 50)) / 49;
+    const ny = -1.4 + (2.8 * Math.floor(i / 50)) / 49;
+    state.posX[i] = (nx * d * aspect) / f + cp.x;
+    state.posY[i] = (ny * d) / f + cp.y;
+    state.posZ[i] = z;
+    state.despawned[i] = 0;
+  }
+  return { config, state, view, f };
+}
+
+// World point on z = 0 that projects to (ndcX, ndcY).
+function pointAt({ config, f }, ndcX, ndcY, extra) {
+  const cp = config.camera3d.position;
+  return { x: (ndcX * cp.z * aspect) / f + cp.x, y: (ndcY * cp.z) / f + cp.y, z: 0, ...extra };
+}
+
+function shapes(ctx) {
+  const points = [
+    pointAt(ctx, 0, 0), // on a cell corner for even grids
+    pointAt(ctx, 0.125, -0.25, { radiusNDC: 0.05 }), // on 16-grid edges
+    pointAt(ctx, -0.5, 0.5, { radiusNDC: 0.3 }), // spans many cells
+    pointAt(ctx, 0.98, 0.4, { radiusNDC: 0.1 }), // straddles the right edge
+    pointAt(ctx, 1.2, -1.15), // off-screen
+    pointAt(ctx, -1.3, 0.9, { radiusNDC: 0.2 }), // off-screen, reaches in
+    pointAt(ctx, 0.4, 0.7, { depthAware: true }),
+    { x: 0, y: 6, z: 60 }, // behind the camera: clipped
+  ];
+  const boxes = [
+    { minX: -0.125, maxX: 0.125, minY: 0.5, maxY: 0.75 }, // exactly on 16-grid edges
+    { minX: 0.61, maxX: 0.83, minY: -0.91, maxY: -0.44 },
+    { minX: 0.9, maxX: 1.3, minY: -0.2, maxY: 0.1 }, // straddles the right edge
+    { minX: -1.5, maxX: -1.1, minY: -1.5, maxY: -1.1 }, // off-screen
+  ];
+  return { points, boxes, pointCount: points.length, masks: [] };
+}
+
+function bruteForce({ config, state, view }, { points, boxes }) {
+  const rDefault = config.interaction.screenRadiusNDC;
+  const tol = config.interaction.depth.tolerance;
+  const b = { x: 0, y: 0, z: 0 };
+  const p = { x: 0, y: 0, z: 0 };
+  const hovered = [];
+  for (let i = 0; i < state.count; i++) {
+    projectToNDC(view.viewProjection, state.posX[i], state.posY[i], state.posZ[i], b);
+    let hit = false;
+    if (b.z >= -1 && b.z <= 1) {
+      for (const bb of boxes) hit ||= b.x >= bb.minX && b.x <= bb.maxX && b.y >= bb.minY && b.y <= bb.maxY;
+      for (const pt of points) {
+        projectToNDC(view.viewProjection, pt.x, pt.y, pt.z, p);
+        if (p.z < -1 || p.z > 1) continue;
+        const r = pt.radiusNDC > 0 ? pt.radiusNDC : rDefault;
+        const near = (b.x - p.x) ** 2 + (b.y - p.y) ** 2 < r * r;
+        hit ||= near && (!pt.depthAware || Math.abs(state.posZ[i] - pt.z) < tol);
+      }
+    }
+    hovered.push(hit);
+  }
+  return hovered;
+}
+
+for (const cells of [1, 7, 16, 64]) {
+  test(`binned hover matches brute force (hoverGridCells ${cells})`, () => {
+    const ctx = setup(cells);
+    const influencers = shapes(ctx);
+    const expected = bruteForce(ctx, influencers);
+
+    ctx.state.buoy.fill(0);
+    applyInfluence(ctx.state, 1, influencers);
+    const actual = Array.from(ctx.state.buoy.subarray(0, ctx.state.count), (v) => v > 0);
+
+    assert.ok(expected.filter(Boolean).length > 50, "fixture hovers a fair share of balloons");
+    assert.deepEqual(actual, expected);
+  });
+}
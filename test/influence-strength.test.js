@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSimulationState, applyInfluence } from "../simulation-core.js";
+import { testConfig, testView } from "./helpers.js";
+
+// Two providers' worth of shapes over two balloons: a strong and a weak one,
+// plus an overlap where the strongest must win.
+function setup(screenSpace) {
+  const config = testConfig((c) => {
+    c.balloons.count = 3;
+    c.randomLight.rate = 0;
+    c.physics.model = "gamey";
+    c.interaction.useScreenSpaceHit = screenSpace;
+  });
+  const state = createSimulationState(config, { seed: 9, view: testView(config) });
+  const xs = [-10, 10, 0];
+  for (let i = 0; i < 3; i++) {
+    state.posX[i] = xs[i];
+    state.posY[i] = 6;
+    state.posZ[i] = 0;
+    state.buoy[i] = 0;
+    state.despawned[i] = 0;
+  }
+  return { config, state };
+}
+
+// dt small enough that nothing clamps at 1.
+function rise(state, config, influencers) {
+  const dt = 0.1 / config.physics.buoyancyRiseRate;
+  applyInfluence(state, dt, influencers);
+  return Array.from(state.buoy.subarray(0, 3), (b) => b / 0.1);
+}
+
+for (const screenSpace of [true, false]) {
+  test(`point strength scales the rise (${screenSpace ? "screen" : "world"} space)`, () => {
+    const { config, state } = setup(screenSpace);
+    const strong = [{ x: -10, y: 6, z: 0, strength: 1 }, { x: 0, y: 6, z: 0, strength: 1 }];
+    const weak = [{ x: 10, y: 6, z: 0, strength: 0.25 }, { x: 0, y: 6, z: 0, strength: 0.25 }];
+
+    const [a, b, c] = rise(state, config, { points: [...weak, ...strong] });
+    assert.ok(Math.abs(a - 1) < 1e-4, `strong ${a}`);
+    assert.ok(Math.abs(b - 0.25) < 1e-4, `weak ${b}`);
+    assert.ok(Math.abs(c - 1) < 1e-4, `overlap ${c}`);
+  });
+}
+
+test("box strength scales the rise and zero strength does not hover", () => {
+  const { config, state } = setup(true);
+  const boxes = [
+    { minX: -1, maxX: 0, minY: -1, maxY: 1, strength: 0.5 }, // balloons 0 and 2 (x = 0 is on the edge)
+    { minX: 0.1, maxX: 1, minY: -1, maxY: 1, strength: 0 },
+  ];
+  const [a, b, c] = rise(state, config, { points: [], boxes });
+  assert.ok(Math.abs(a - 0.5) < 1e-4, `box ${a}`);
+  assert.equal(b, 0);
+  assert.ok(Math.abs(c - 0.5) < 1e-4, `edge ${c}`);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSimulationState, applyInfluence, applyOrbPush } from "../simulation-core.js";
+import { testConfig, testView } from "./helpers.js";
+
+// A balloon 6 world units right of a fast orb: outside push.radiusWorld (4),
+// inside an orb's own radiusWorld of 8.
+function pushedVelX(screenSpace, radius) {
+  const config = testConfig((c) => {
+    c.balloons.count = 1;
+    c.interaction.useScreenSpaceHit = screenSpace;
+    c.interaction.push.enabled = true;
+  });
+  const state = createSimulationState(config, { seed: 3, view: testView(config) });
+  state.posX[0] = 6;
+  state.posY[0] = 6;
+  state.posZ[0] = 0;
+  state.velX[0] = state.velY[0] = state.velZ[0] = 0;
+  state.landed[0] = 0;
+
+  const point = { x: 0, y: 6, z: 0, vx: 10, vy: 0, vz: 0, ...radius };
+  const influencers = { points: [point] };
+  applyInfluence(state, 0, influencers); // projects the point for screen space
+  applyOrbPush(state, 1 / 60, influencers);
+  return state.velX[0];
+}
+
+test("push reach follows a point's own world radius", () => {
+  assert.equal(pushedVelX(false, {}), 0);
+  assert.ok(pushedVelX(false, { radiusWorld: 8 }) > 0);
+});
+
+test("push reach follows a point's own NDC radius", () => {
+  // 6 units at 40 away is ~0.16 NDC in x: past push.radiusNDC (0.12).
+  assert.equal(pushedVelX(true, {}), 0);
+  assert.ok(pushedVelX(true, { radiusNDC: 0.3 }) > 0);
+});
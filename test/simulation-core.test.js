@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createSimulationState, stepSimulation } from "../simulation-core.js";
+import { testConfig, testView } from "./helpers.js";
+
+const STEPS = 600;
+
+function run(seed, influencers, overrides) {
+  const config = testConfig(overrides);
+  const state = createSimulationState(config, { seed, view: testView(config) });
+  for (let k = 0; k < STEPS; k++) stepSimulation(state, config.physics.fixedStep, influencers);
+  return state;
+}
+
+function typedArrays(state) {
+  return Object.entries(state).filter(([, v]) => v instanceof Float32Array);
+}
+
+test("same seed reproduces identical state", () => {
+  const a = run(42);
+  const b = run(42);
+  for (const [name, arr] of typedArrays(a)) assert.deepEqual(arr, b[name], name);
+});
+
+test("different seeds diverge", () => {
+  const a = run(42);
+  const b = run(43);
+  assert.notDeepEqual(a.posY, b.posY);
+});
+
+test("an influencer point lights a balloon and lifts it", () => {
+  const quiet = (config) => {
+    config.randomLight.rate = 0;
+    config.balloons.count = 1;
+  };
+  const config = testConfig(quiet);
+  const probe = createSimulationState(config, { seed: 7, view: testView(config) });
+  const point = { x: probe.posX[0], y: probe.posY[0], z: probe.posZ[0] };
+
+  // Short run so the balloon stays near the (fixed) point.
+  const step = (state, influencers) => {
+    for (let k = 0; k < 30; k++) stepSimulation(state, config.physics.fixedStep, influencers);
+  };
+  const lit = createSimulationState(testConfig(quiet), { seed: 7, view: testView(config) });
+  const dark = createSimulationState(testConfig(quiet), { seed: 7, view: testView(config) });
+  step(lit, { points: [point] });
+  step(dark, { points: [] });
+
+  assert.ok(lit.buoy[0] > dark.buoy[0], `buoy ${lit.buoy[0]} vs ${dark.buoy[0]}`);
+  assert.ok(lit.velY[0] > dark.velY[0], `velY ${lit.velY[0]} vs ${dark.velY[0]}`);
+});
+
+test(`no NaN after ${STEPS} steps with influencers`, () => {
+  const state = run(5, {
+    points: [{ x: 0, y: 6, z: 0, vx: 3, vy: 0, vz: 0 }],
+    boxes: [{ minX: -0.2, maxX: 0.2, minY: -1, maxY: 1 }],
+  });
+  for (const [name, arr] of typedArrays(state)) {
+    for (let i = 0; i < arr.length; i++) assert.ok(Number.isFinite(arr[i]), `${name}[${i}] = ${arr[i]}`);
+  }
+});